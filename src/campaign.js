@@ -0,0 +1,1096 @@
+const fs = require('fs');
+const i18next = require('i18next');
+const path = require('path');
+const {
+  saveAsset,
+  findAsset,
+  saveComplianceReport,
+  getInputAssetPath,
+} = require('./utils/fileHandler');
+const { log, error, warn, withLogContext } = require('./utils/logger');
+const config = require('./config');
+const { generateDetailedPrompt, getSceneDetails } = require('./utils/promptGenerator');
+const { applyTextOverlay } = require('./utils/textOverlay');
+const { checkBrandCompliance } = require('./utils/brandCompliance');
+const { screenProductCopy, screenPromptInputs } = require('./utils/contentScreening');
+const { runPool } = require('./utils/concurrency');
+const { createAssetRecord, writeRunReport, recordManualSelection } = require('./utils/runReport');
+const { hashFile, computeCacheKey, openAssetCache } = require('./utils/assetCache');
+const { getCopyValues, checkTranslations, assertLocalesAvailable } = require('./utils/locales');
+const { getPromptTemplateName } = require('./utils/promptTemplates');
+const { selectCandidate } = require('./utils/candidateSelection');
+const { resolvePlacements, fitToPlacement, encodeForPlacement } = require('./utils/placements');
+const { deriveFromMaster } = require('./utils/derivation');
+const { openRunJournal } = require('./utils/runJournal');
+const {
+  resolveProductReferences,
+  selectReferences,
+  describeReferences,
+  toProviderReferences,
+} = require('./utils/references');
+
+/**
+ * Translates the brief's campaign message and call to action for one product and locale,
+ * interpolating brief and product values (e.g., {{productName}}) and choosing plural forms.
+ * @param {object} brief - The campaign brief.
+ * @param {object} product - The product the copy is rendered for.
+ * @param {string} locale - Target locale (e.g., 'es').
+ * @returns {{locale: string, campaignMessage: string, callToAction: string|null}} The localized copy.
+ */
+const translateCopy = (brief, product, locale) => {
+  const t = i18next.getFixedT(locale);
+  const values = getCopyValues(brief, product);
+
+  let campaignMessage;
+  try {
+    campaignMessage = t(brief.campaignMessage, values);
+    log(`Using ${locale} campaign message for ${product.name}: "${campaignMessage}"`);
+  } catch (i18nError) {
+    error(`Translation error (${locale}): ${i18nError.message}`);
+    campaignMessage = brief.campaignMessage;
+    log(`Using fallback campaign message: "${campaignMessage}"`);
+  }
+
+  let callToAction = null;
+  if (brief.callToAction) {
+    callToAction = t(brief.callToAction, values);
+    log(`Using ${locale} call to action for ${product.name}: "${callToAction}"`);
+  }
+
+  return { locale, campaignMessage, callToAction };
+};
+
+/**
+ * Translates the campaign message into the default locale for use in the prompt.
+ * Prompts do not depend on the output locale, so one base image can serve every locale.
+ * @param {object} brief - The campaign brief.
+ * @param {object} product - The product the prompt is for.
+ * @returns {string} The prompt message.
+ */
+const getPromptMessage = (brief, product) =>
+  i18next.getFixedT(config.locales.defaultLocale)(
+    brief.campaignMessage,
+    getCopyValues(brief, product)
+  );
+
+/**
+ * Localizes and screens a product's copy in every locale and uploads the reference images its placements use.
+ * Only references chosen for one of the given aspect ratios are uploaded; when an upload fails, the next
+ * best reference of the same role takes its place. In a dry run references are only hashed, not uploaded.
+ * @param {object} product - The product object from the brief.
+ * @param {object} context - Shared run context (brief, uploader, locales, dryRun).
+ * @param {string[]} aspectRatios - Aspect ratios the product's images are generated at.
+ * @returns {Promise<object>} Preparation result with product, localized copies, block reasons keyed by locale,
+ *   the prompt message and the uploaded references (see resolveProductReferences), each with its content hash
+ *   and upload ID.
+ */
+const prepareProduct = async (product, { brief, uploader, locales, dryRun }, aspectRatios) => {
+  log(`Processing product: ${product.name}`);
+
+  const copies = locales.map((locale) => translateCopy(brief, product, locale));
+  const promptMessage = getPromptMessage(brief, product);
+
+  // Product names and descriptions are screened once per locale, so report each finding once.
+  const reported = new Set();
+  const report = (violations) =>
+    violations.forEach((violation) => {
+      const message = `Content screening (${violation.severity}) in ${violation.field} for ${product.name}: "${violation.match}" - ${violation.reason}`;
+      if (reported.has(message)) {
+        return;
+      }
+      reported.add(message);
+      if (violation.severity === 'block') {
+        error(message);
+      } else {
+        warn(message);
+      }
+    });
+  const getBlockedTerms = (violations) =>
+    violations.filter((v) => v.severity === 'block').map((v) => `"${v.match}"`);
+
+  // The prompt is shared by every locale, so a blocked prompt blocks them all. A scene that cannot be
+  // resolved is reported when the prompt is built.
+  let scene = {};
+  try {
+    scene = getSceneDetails(product, brief);
+  } catch (sceneError) {
+    // Left to processAsset, which fails the product's assets with this error.
+  }
+  const promptScreening = screenPromptInputs({ promptMessage, scene }, brief.targetRegion);
+  report(promptScreening.violations);
+
+  const blockedLocales = {};
+  copies.forEach(({ locale, campaignMessage, callToAction }) => {
+    if (promptScreening.blocked) {
+      blockedLocales[locale] =
+        `Blocked by content screening of the prompt: ${getBlockedTerms(promptScreening.violations).join(', ')}`;
+      return;
+    }
+    const screening = screenProductCopy(
+      product,
+      { campaignMessage, callToAction },
+      brief.targetRegion
+    );
+    report(screening.violations);
+
+    if (screening.blocked) {
+      blockedLocales[locale] =
+        `Blocked by content screening: ${getBlockedTerms(screening.violations).join(', ')}`;
+      error(
+        `Product ${product.name} blocked by content screening for ${locale}. Skipping ${locale} assets.`
+      );
+    }
+  });
+  if (promptScreening.blocked) {
+    error(
+      `Product ${product.name} blocked by content screening of its prompt. Skipping all locales.`
+    );
+  }
+
+  if (Object.keys(blockedLocales).length === copies.length) {
+    return { product, copies, blockedLocales, promptMessage, references: [] };
+  }
+
+  const references = [];
+  try {
+    let candidates = await resolveProductReferences(product);
+    const found = candidates.length;
+    if (found === 0) {
+      log(`No assets found for ${product.name}, using text-only generation.`);
+    } else {
+      log(
+        `Found ${found} reference(s) for ${product.name}: ${candidates.map((reference) => `${path.basename(reference.path)} (${reference.role}, ${reference.orientation})`).join(', ')}`
+      );
+    }
+
+    // Uploads whatever the aspect ratios choose until every choice is uploaded, dropping references that fail.
+    const isUploaded = (reference) => references.includes(reference);
+    for (;;) {
+      const pending = new Set(
+        aspectRatios
+          .flatMap((aspectRatio) => Object.values(selectReferences(candidates, aspectRatio)))
+          .filter((reference) => reference && !isUploaded(reference))
+      );
+      if (pending.size === 0) {
+        break;
+      }
+      for (const reference of pending) {
+        const fileName = path.basename(reference.path);
+        if (dryRun) {
+          Object.assign(reference, {
+            hash: hashFile(reference.path),
+            uploadId: `<upload of ${fileName}>`,
+          });
+          log(`Dry run: ${fileName} would be uploaded as a ${reference.role} reference.`);
+          references.push(reference);
+          continue;
+        }
+        try {
+          const { uploadedAssetId, referenceHash } = await uploader.upload(reference.path);
+          Object.assign(reference, { hash: referenceHash, uploadId: uploadedAssetId });
+          log(`Using ${fileName} as a ${reference.role} reference.`);
+          references.push(reference);
+        } catch (uploadError) {
+          error(`Failed to upload ${fileName} for ${product.name}: ${uploadError.message}`);
+          candidates = candidates.filter((candidate) => candidate !== reference);
+        }
+      }
+    }
+    if (found > 0 && references.length === 0) {
+      log(`Continuing with text-only generation for ${product.name}...`);
+    }
+  } catch (assetError) {
+    error(`Error checking assets for ${product.name}: ${assetError.message}`);
+    log(`Continuing with text-only generation for ${product.name}...`);
+  }
+
+  return { product, copies, blockedLocales, promptMessage, references };
+};
+
+/**
+ * Returns the provider aspect ratio an asset is generated at: the master ratio when it is derived
+ * from a master render, otherwise the ratio chosen for its placement.
+ * @param {object} task - The asset task (placement and fromMaster).
+ * @returns {string} An aspect ratio key of config.sizeMap.
+ */
+const getGenerationRatio = ({ placement, fromMaster }) =>
+  fromMaster ? config.derivation.masterRatio : placement.generationRatio;
+
+/**
+ * Computes the cache key of one asset in one locale from everything that influences its pixels.
+ * @param {object} task - The asset task (placement, references, numVariations and fromMaster).
+ * @param {object} copy - Localized copy rendered onto the asset.
+ * @param {{prompt: string, negativePrompt: string|null}} prompts - The rendered prompts.
+ * @param {object} context - Shared run context (brief, provider, overlay, logoHash).
+ * @returns {string} The hex cache key.
+ */
+const getAssetCacheKey = (
+  task,
+  copy,
+  { prompt, negativePrompt },
+  { brief, provider, overlay, logoHash }
+) => {
+  const { placement, references, numVariations, fromMaster } = task;
+  const generationRatio = getGenerationRatio(task);
+  const selected = selectReferences(references, generationRatio);
+  return computeCacheKey({
+    prompt,
+    negativePrompt,
+    aspectRatio: generationRatio,
+    references: Object.fromEntries(
+      Object.entries(selected).map(([role, reference]) => [
+        role,
+        reference && { hash: reference.hash, strength: reference.strength },
+      ])
+    ),
+    settings: {
+      provider: provider.name,
+      size: config.sizeMap[generationRatio],
+      placement: {
+        width: placement.width,
+        height: placement.height,
+        safeZone: placement.safeZone,
+        maxFileSizeKB: placement.maxFileSizeKB,
+      },
+      overlay: overlay
+        ? { message: copy.campaignMessage, cta: copy.callToAction, layout: config.overlay }
+        : null,
+      brand: brief.brand ? { ...brief.brand, logoHash } : null,
+      variations: numVariations > 1 ? numVariations : undefined,
+      derivation: fromMaster
+        ? {
+            analysisSize: config.derivation.analysisSize,
+            subjectCoverage: config.derivation.subjectCoverage,
+            subjectMargin: config.derivation.subjectMargin,
+            fullSceneExtent: config.derivation.fullSceneExtent,
+          }
+        : undefined,
+    },
+  });
+};
+
+/**
+ * Classifies an asset for the manifest: 'derived' when it was cropped or padded from a master render of
+ * another shape, 'generated' when the provider rendered it at its own shape.
+ * @param {object|null} derivation - How the image was made from the master, or null when generated directly.
+ * @returns {string} 'generated' or 'derived'.
+ */
+const getAssetSource = (derivation) =>
+  derivation && derivation.method !== 'resize' ? 'derived' : 'generated';
+
+/**
+ * Generates, checks, overlays and saves one product asset for one placement in every requested locale.
+ * The base image does not depend on the copy, so it is generated once and only the overlay differs per locale.
+ * Images are generated at the closest provider size and then cropped to the placement's exact pixel size,
+ * or, when deriving from a master, cut from the product's shared master render with subject-aware cropping or padding.
+ * Safe to run concurrently: every log line names the asset and errors never propagate.
+ * @param {object} task - The unit of work.
+ * @param {object} task.product - The product object from the brief.
+ * @param {object} task.placement - Target placement (size, safe zone and file size limit).
+ * @param {object[]} task.copies - Localized copy for each locale to produce.
+ * @param {string} task.promptMessage - Campaign message in the default locale, used in the prompt.
+ * @param {object[]} task.references - The product's uploaded references; each image uses the best match
+ *   of each role for the aspect ratio it is generated at.
+ * @param {number} task.numVariations - Candidates to generate; with more than one, each is saved as
+ *   "<product>_v<n>.png" and the best-scoring candidate becomes the final asset.
+ * @param {boolean} task.fromMaster - Derive the placement from the product's master render instead of generating it.
+ * @param {boolean} task.force - Regenerate even if the cache holds an up-to-date asset.
+ * @param {object} context - Shared run context (brief, provider, uploader, cache, overlay, masters, logoHash).
+ * @returns {Promise<object[]>} One manifest record per locale with status 'success', 'failure' or 'skipped'.
+ */
+const processAsset = async (task, context) => {
+  const {
+    product,
+    placement,
+    copies,
+    promptMessage,
+    references,
+    numVariations,
+    fromMaster,
+    force,
+  } = task;
+  const { brief, provider, uploader, cache, overlay, masters } = context;
+  const generationRatio = getGenerationRatio(task);
+  const selectedReferences = selectReferences(references, generationRatio);
+  const label = `${product.name} (${placement.name})`;
+  const startedAt = Date.now();
+  const variants = copies.map((copy) => ({
+    copy,
+    label: `${product.name} (${placement.name}, ${copy.locale})`,
+    record: createAssetRecord(
+      product.name,
+      placement,
+      copy.locale,
+      describeReferences(selectedReferences)
+    ),
+  }));
+  const records = variants.map(({ record }) => record);
+
+  const finish = (record, status, message = null) => {
+    record.status = status;
+    record.error = message;
+    record.durationMs = Date.now() - startedAt;
+  };
+
+  const fail = (record, message) => {
+    error(message);
+    finish(record, 'failure', message);
+  };
+
+  // Fails every locale that has not finished yet.
+  const failPending = (message) => {
+    error(message);
+    records
+      .filter((record) => record.status === 'pending')
+      .forEach((record) => finish(record, 'failure', message));
+    return records;
+  };
+
+  try {
+    let prompt;
+    let negativePrompt;
+    try {
+      prompt = generateDetailedPrompt(product, brief, promptMessage);
+      negativePrompt = getSceneDetails(product, brief).negativePrompt;
+    } catch (promptError) {
+      return failPending(`Failed to generate prompt for ${product.name}: ${promptError.message}`);
+    }
+
+    const promptTemplate = getPromptTemplateName(product, brief);
+    const pending = variants.filter(({ copy, label: variantLabel, record }) => {
+      record.promptTemplate = promptTemplate;
+      record.prompt = prompt;
+      record.negativePrompt = negativePrompt;
+      record.cacheKey = getAssetCacheKey(task, copy, { prompt, negativePrompt }, context);
+
+      const cached = force
+        ? null
+        : cache.lookup(product.name, placement.name, record.cacheKey, copy.locale);
+      if (cached) {
+        log(`Asset for ${variantLabel} is unchanged since the last run. Skipping.`);
+        record.outputPath = cached.outputPath;
+        record.candidates = cached.candidates || null;
+        record.selectedVariation = cached.selectedVariation ?? null;
+        record.selection = cached.selection || null;
+        record.source = cached.source || 'generated';
+        record.derivation = cached.derivation || null;
+        finish(record, 'skipped');
+        return false;
+      }
+      return true;
+    });
+
+    if (pending.length === 0) {
+      return records;
+    }
+
+    log(`Generating asset for ${label}...`);
+    log(`Using prompt for ${label}: "${prompt.substring(0, 100)}..."`);
+
+    const generate = async (target) => {
+      const used = describeReferences(selectedReferences).map(
+        ({ role, file, strength }) =>
+          `${role} reference ${path.basename(file)} (strength ${strength})`
+      );
+      const source = used.length > 0 ? used.join(' and ') : 'text-only prompt';
+      log(`Generating ${numVariations} image(s) for ${target} with ${source}...`);
+      const request = () =>
+        provider.generateImage(prompt, generationRatio, toProviderReferences(selectedReferences), {
+          negativePrompt,
+          numVariations,
+        });
+      try {
+        return await request();
+      } catch (generateError) {
+        if (!generateError.referenceRejected) {
+          throw generateError;
+        }
+        // Upload IDs reused from an earlier run may have expired; upload the references again and retry once.
+        warn(`${generateError.message} Uploading the references for ${target} again...`);
+        for (const reference of Object.values(selectedReferences).filter(Boolean)) {
+          ({ uploadedAssetId: reference.uploadId } = await uploader.reupload(
+            reference.path,
+            reference.uploadId
+          ));
+        }
+        records.forEach((record) => {
+          record.references = describeReferences(selectedReferences);
+        });
+        return request();
+      }
+    };
+
+    let images;
+    try {
+      if (fromMaster) {
+        // Every placement of the product shares one master request, even when processed concurrently.
+        if (!masters.has(product.name)) {
+          const master = withLogContext({ placement: undefined, ratio: generationRatio }, () =>
+            generate(`${product.name} master (${generationRatio})`)
+          );
+          masters.set(product.name, master);
+        }
+        images = await masters.get(product.name);
+      } else {
+        images = await generate(label);
+      }
+    } catch (imageError) {
+      return failPending(
+        `Failed to generate ${fromMaster ? 'master image' : 'image'} for ${label}: ${imageError.message}`
+      );
+    }
+
+    if (!Array.isArray(images) || images.length === 0 || images.some((imageData) => !imageData)) {
+      return failPending(`Failed to generate asset for ${label}: No image data returned.`);
+    }
+
+    let fitted;
+    try {
+      fitted = [];
+      for (const imageData of images) {
+        fitted.push(
+          fromMaster
+            ? await deriveFromMaster(imageData, placement)
+            : { imageData: await fitToPlacement(imageData, placement), derivation: null }
+        );
+      }
+    } catch (fitError) {
+      return failPending(
+        `Failed to ${fromMaster ? 'derive' : 'fit'} image for ${label}: ${fitError.message}`
+      );
+    }
+    if (fromMaster) {
+      log(
+        `Derived ${label} from the ${generationRatio} master (${fitted.map(({ derivation }) => derivation.method).join(', ')}).`
+      );
+    }
+
+    let candidates = fitted.map(({ imageData, derivation }, index) => ({
+      variation: index + 1,
+      imageData,
+      derivation: derivation ? { masterRatio: generationRatio, ...derivation } : null,
+      paletteScore: null,
+      complianceStatus: null,
+      complianceReport: null,
+    }));
+
+    if (brief.brand) {
+      try {
+        for (const candidate of candidates) {
+          const compliance = await checkBrandCompliance(candidate.imageData, brief.brand);
+          candidate.imageData = compliance.imageData;
+          candidate.paletteScore = compliance.report.paletteScore;
+          candidate.complianceStatus = compliance.report.status;
+          candidate.complianceReport = compliance.report;
+        }
+      } catch (complianceError) {
+        return failPending(
+          `Failed to run brand compliance for ${label}: ${complianceError.message}`
+        );
+      }
+    }
+
+    let selected = candidates[0];
+    if (candidates.length > 1) {
+      try {
+        ({ selected, candidates } = await selectCandidate(candidates));
+      } catch (selectionError) {
+        return failPending(`Failed to score candidates for ${label}: ${selectionError.message}`);
+      }
+      if (!selected) {
+        return failPending(`Every candidate for ${label} failed brand compliance.`);
+      }
+      log(
+        `Selected variation ${selected.variation} of ${candidates.length} for ${label} (score ${selected.score}).`
+      );
+    }
+
+    if (brief.brand) {
+      const report = selected.complianceReport;
+      try {
+        pending.forEach(({ copy, record }) => {
+          const reportPath = saveComplianceReport(
+            brief.campaignName,
+            product.name,
+            placement.name,
+            report,
+            copy.locale
+          );
+          record.compliance = { status: report.status, reportPath, issues: report.issues };
+        });
+      } catch (reportError) {
+        return failPending(
+          `Failed to save brand compliance report for ${label}: ${reportError.message}`
+        );
+      }
+
+      if (report.status === 'fail') {
+        return failPending(
+          `Asset for ${label} failed brand compliance. See ${pending[0].record.compliance.reportPath}`
+        );
+      } else if (report.status === 'flagged') {
+        warn(`Asset for ${label} flagged by brand compliance: ${report.issues.join(' ')}`);
+      } else {
+        log(`Asset for ${label} passed brand compliance.`);
+      }
+    }
+
+    for (const { copy, label: variantLabel, record } of pending) {
+      const localize = (imageData) =>
+        overlay
+          ? applyTextOverlay(
+              imageData,
+              placement.aspectRatio,
+              { message: copy.campaignMessage, cta: copy.callToAction },
+              { safeZone: placement.safeZone }
+            )
+          : imageData;
+
+      let localizedCandidates;
+      try {
+        localizedCandidates = [];
+        for (const candidate of candidates) {
+          localizedCandidates.push({ candidate, imageData: await localize(candidate.imageData) });
+        }
+        if (overlay) {
+          log(`Text overlay applied for ${variantLabel}.`);
+        }
+      } catch (overlayError) {
+        fail(record, `Failed to apply text overlay for ${variantLabel}: ${overlayError.message}`);
+        continue;
+      }
+
+      try {
+        for (const localized of localizedCandidates) {
+          Object.assign(localized, await encodeForPlacement(localized.imageData, placement));
+        }
+      } catch (encodeError) {
+        fail(record, `Failed to encode ${variantLabel}: ${encodeError.message}`);
+        continue;
+      }
+
+      try {
+        const save = ({ data, extension }, variation = null) =>
+          saveAsset(brief.campaignName, product.name, placement.name, data, {
+            locale: copy.locale,
+            variation,
+            extension,
+          });
+
+        if (candidates.length > 1) {
+          record.candidates = localizedCandidates.map((localized) => ({
+            variation: localized.candidate.variation,
+            outputPath: save(localized, localized.candidate.variation),
+            score: localized.candidate.score,
+            sharpness: localized.candidate.sharpness,
+            paletteScore: localized.candidate.paletteScore,
+            complianceStatus: localized.candidate.complianceStatus,
+            derivation: localized.candidate.derivation,
+          }));
+          record.selectedVariation = selected.variation;
+          record.selection = 'auto';
+        }
+
+        record.outputPath = save(
+          localizedCandidates.find(({ candidate }) => candidate.variation === selected.variation)
+        );
+        record.source = getAssetSource(selected.derivation);
+        record.derivation = selected.derivation;
+        cache.store(product.name, placement.name, record.cacheKey, record.outputPath, copy.locale, {
+          candidates: record.candidates,
+          selectedVariation: record.selectedVariation,
+          selection: record.selection,
+          source: record.source,
+          derivation: record.derivation,
+        });
+        log(`Asset for ${variantLabel} generated and saved successfully.`);
+        finish(record, 'success');
+      } catch (saveError) {
+        fail(record, `Failed to save asset for ${variantLabel}: ${saveError.message}`);
+      }
+    }
+
+    return records;
+  } catch (assetError) {
+    return failPending(`Unexpected error processing ${label}: ${assetError.message}`);
+  }
+};
+
+/**
+ * Renders the prompt for every selected product without screening, uploading or generating anything.
+ * @param {object} brief - The validated campaign brief.
+ * @param {object[]|null} onlySelectors - Parsed --only selectors, or null for every product.
+ * @returns {object[]} One entry per product with product, promptTemplate, prompt and negativePrompt.
+ * @throws {Error} If a prompt cannot be rendered.
+ */
+const previewPrompts = (brief, onlySelectors) =>
+  brief.products
+    .filter(
+      (product) =>
+        !onlySelectors || onlySelectors.some((selector) => selector.product === product.name)
+    )
+    .map((product) => ({
+      product: product.name,
+      promptTemplate: getPromptTemplateName(product, brief),
+      prompt: generateDetailedPrompt(product, brief, getPromptMessage(brief, product)),
+      negativePrompt: getSceneDetails(product, brief).negativePrompt,
+    }));
+
+/**
+ * Promotes a saved candidate to the final asset in each locale, replacing the automatic choice,
+ * and records the manual selection in the asset cache and the campaign manifest.
+ * @param {object} brief - The validated campaign brief.
+ * @param {object} selection - The candidate to promote.
+ * @param {string} selection.product - Name of the product.
+ * @param {string} selection.placement - Name of the placement (e.g., "stories-reels").
+ * @param {number} selection.variation - Candidate variation number (e.g., 2 for "productA_v2.png").
+ * @param {string[]|null} selection.locales - Locales to update; the brief's locales or the default locale when null.
+ * @returns {string[]} Paths of the replaced final assets.
+ * @throws {Error} If the product is not in the brief or no locale has the candidate.
+ */
+const promoteCandidate = (brief, { product, placement, variation, locales }) => {
+  if (!brief.products.some(({ name }) => name === product)) {
+    throw new Error(`Product "${product}" is not in campaign "${brief.campaignName}".`);
+  }
+
+  const cache = openAssetCache(brief.campaignName);
+  const outputPaths = {};
+  (locales || brief.locales || [config.locales.defaultLocale]).forEach((locale) => {
+    const candidatePath = findAsset(brief.campaignName, product, placement, { locale, variation });
+    if (!candidatePath) {
+      warn(`No candidate v${variation} for ${product} (${placement}, ${locale}).`);
+      return;
+    }
+
+    const finalPath = saveAsset(
+      brief.campaignName,
+      product,
+      placement,
+      fs.readFileSync(candidatePath),
+      {
+        locale,
+        extension: path.extname(candidatePath).slice(1),
+      }
+    );
+    cache.recordSelection(product, placement, locale, variation, finalPath);
+    log(`Promoted ${path.basename(candidatePath)} to ${finalPath}.`);
+    outputPaths[locale] = finalPath;
+  });
+
+  const promotedLocales = Object.keys(outputPaths);
+  if (promotedLocales.length === 0) {
+    throw new Error(
+      `No candidate v${variation} found for ${product} (${placement}). Run with --variations first.`
+    );
+  }
+
+  const updated = recordManualSelection(brief.campaignName, {
+    product,
+    placement,
+    locales: promotedLocales,
+    variation,
+    outputPaths,
+  });
+  if (updated === 0) {
+    warn(`No manifest entries for ${product} (${placement}) were updated.`);
+  }
+
+  return Object.values(outputPaths);
+};
+
+/**
+ * Checks locales and translations, selects placements, prepares every selected product and turns them into
+ * asset tasks. Shared by real runs and dry runs.
+ * @param {object} brief - The validated campaign brief.
+ * @param {object} options - Run options (see runCampaign).
+ * @param {object} services - Provider and reference uploader; dryRun skips uploads.
+ * @returns {Promise<object|null>} The locales, run context, asset tasks and blocked records, or null when
+ *   nothing matches --only.
+ * @throws {Error} If a locale has no locale file or strict translation checks fail.
+ */
+const prepareCampaign = async (brief, options, { provider, uploader, dryRun = false }) => {
+  const { onlySelectors } = options;
+  const locales = assertLocalesAvailable(
+    options.locales || brief.locales || [config.locales.defaultLocale]
+  );
+
+  log(`${dryRun ? 'Planning' : 'Starting'} campaign: "${brief.campaignName}"`);
+  log(
+    `Target Audience: ${brief.targetAudience}, Region: ${brief.targetRegion}, Locales: ${locales.join(', ')}`
+  );
+
+  const translationProblems = checkTranslations(brief, locales);
+  if (translationProblems.length > 0 && options.strictI18n) {
+    throw new Error(
+      `Translations are incomplete (strict mode):\n${translationProblems.map((problem) => problem.message).join('\n')}`
+    );
+  }
+  translationProblems.forEach((problem) => warn(`Translation: ${problem.message} Falling back.`));
+
+  const cache = openAssetCache(brief.campaignName);
+  // The logo is keyed by its contents, so replacing the file under the same name invalidates the cache.
+  const logoHash =
+    brief.brand && brief.brand.logo ? hashFile(getInputAssetPath(brief.brand.logo)) : null;
+  const context = {
+    brief,
+    provider,
+    uploader,
+    locales,
+    cache,
+    overlay: options.overlay,
+    masters: new Map(),
+    dryRun,
+    logoHash,
+  };
+
+  // Selectors may name a placement or, as before placements existed, its aspect ratio. Units (from a resumed
+  // or retried run) name exact product and placement pairs and, unlike --only, keep the asset cache.
+  const isSelected = (productName, placement) =>
+    (!onlySelectors ||
+      onlySelectors.some(
+        (selector) =>
+          selector.product === productName &&
+          (!selector.placement ||
+            [placement.name, placement.aspectRatio].includes(selector.placement))
+      )) &&
+    (!options.units ||
+      options.units.some(
+        (unit) => unit.product === productName && unit.placement === placement.name
+      ));
+
+  const placementsByProduct = new Map(
+    brief.products.map((product) => [
+      product.name,
+      resolvePlacements(product, brief).filter((placement) => isSelected(product.name, placement)),
+    ])
+  );
+  const selectedProducts = brief.products.filter(
+    (product) => placementsByProduct.get(product.name).length > 0
+  );
+  if (onlySelectors && selectedProducts.length === 0) {
+    warn(`No products or placements in "${brief.campaignName}" match --only. Nothing to do.`);
+    return null;
+  }
+
+  const derivesFromMaster = (product) =>
+    options.deriveFromMaster ??
+    product.deriveFromMaster ??
+    brief.deriveFromMaster ??
+    config.derivation.enabled;
+  const preparedProducts = await runPool(selectedProducts, options.concurrency, (product) => {
+    const aspectRatios = [
+      ...new Set(
+        placementsByProduct
+          .get(product.name)
+          .map((placement) =>
+            getGenerationRatio({ placement, fromMaster: derivesFromMaster(product) })
+          )
+      ),
+    ];
+    return withLogContext({ product: product.name }, () =>
+      prepareProduct(product, context, aspectRatios)
+    );
+  });
+
+  const assetTasks = [];
+  const blockedRecords = [];
+  preparedProducts.forEach((prepared) => {
+    const { product, copies, blockedLocales, promptMessage, references } = prepared;
+    placementsByProduct.get(product.name).forEach((placement) => {
+      Object.entries(blockedLocales).forEach(([locale, blockReason]) => {
+        blockedRecords.push({
+          ...createAssetRecord(product.name, placement, locale),
+          status: 'blocked',
+          error: blockReason,
+        });
+      });
+
+      const allowedCopies = copies.filter(({ locale }) => !blockedLocales[locale]);
+      if (allowedCopies.length > 0) {
+        assetTasks.push({
+          product,
+          placement,
+          copies: allowedCopies,
+          promptMessage,
+          references,
+          numVariations:
+            options.variations ?? product.variations ?? brief.variations ?? config.variations.count,
+          fromMaster: derivesFromMaster(product),
+          force: options.force || Boolean(onlySelectors),
+        });
+      }
+    });
+  });
+
+  const masterProducts = new Set(
+    assetTasks.filter((task) => task.fromMaster).map((task) => task.product.name)
+  );
+  if (masterProducts.size > 0) {
+    log(
+      `Deriving placements from one ${config.derivation.masterRatio} master render for ${masterProducts.size} product(s): ${[...masterProducts].join(', ')}`
+    );
+  }
+
+  return { locales, context, assetTasks, blockedRecords };
+};
+
+/**
+ * Plans a campaign run without authenticating, uploading or generating. Products are screened and
+ * their prompts rendered exactly as in a real run, and the asset cache decides what would be skipped.
+ * Assets derived from one master render share that master's request.
+ * @param {object} brief - The validated campaign brief.
+ * @param {object} options - Run options (see runCampaign).
+ * @param {object} services - Services shared across briefs.
+ * @param {object} services.provider - The image provider; it is not authenticated.
+ * @returns {Promise<object>} Plan with campaignName, provider, locales, requests (each with the provider payload
+ *   and its estimated credits), one entry per asset with its action and reason, and the total estimated credits.
+ * @throws {Error} If a locale has no locale file or strict translation checks fail.
+ */
+const planCampaign = async (brief, options, { provider }) => {
+  const plan = {
+    campaignName: brief.campaignName,
+    provider: provider.name,
+    locales: [],
+    requests: [],
+    assets: [],
+    estimatedCredits: 0,
+  };
+  const prepared = await prepareCampaign(brief, options, {
+    provider,
+    uploader: null,
+    dryRun: true,
+  });
+  if (!prepared) {
+    return plan;
+  }
+
+  const { locales, context, assetTasks, blockedRecords } = prepared;
+  plan.locales = locales;
+  blockedRecords.forEach((record) => {
+    plan.assets.push({
+      product: record.product,
+      placement: record.placement,
+      locale: record.locale,
+      action: 'blocked',
+      reason: record.error,
+    });
+  });
+
+  const requests = new Map();
+  assetTasks.forEach((task) => {
+    const {
+      product,
+      placement,
+      copies,
+      promptMessage,
+      references,
+      numVariations,
+      fromMaster,
+      force,
+    } = task;
+    const addAsset = (copy, action, reason = null) =>
+      plan.assets.push({
+        product: product.name,
+        placement: placement.name,
+        locale: copy.locale,
+        action,
+        reason,
+      });
+
+    let prompt;
+    let negativePrompt;
+    try {
+      prompt = generateDetailedPrompt(product, brief, promptMessage);
+      negativePrompt = getSceneDetails(product, brief).negativePrompt;
+    } catch (promptError) {
+      copies.forEach((copy) =>
+        addAsset(copy, 'failure', `Failed to generate prompt: ${promptError.message}`)
+      );
+      return;
+    }
+
+    const pending = copies.filter((copy) => {
+      const cacheKey = getAssetCacheKey(task, copy, { prompt, negativePrompt }, context);
+      if (!force && context.cache.lookup(product.name, placement.name, cacheKey, copy.locale)) {
+        addAsset(copy, 'skip', 'Unchanged since the last run');
+        return false;
+      }
+      return true;
+    });
+    if (pending.length === 0) {
+      return;
+    }
+
+    const aspectRatio = getGenerationRatio(task);
+    const requestKey = fromMaster ? product.name : `${product.name}/${placement.name}`;
+    if (!requests.has(requestKey)) {
+      // Upload IDs are only known after a real upload, so the payload names each file instead.
+      const selected = selectReferences(references, aspectRatio);
+      try {
+        requests.set(requestKey, {
+          product: product.name,
+          placements: [],
+          aspectRatio,
+          references: describeReferences(selected),
+          ...provider.describeGeneration(prompt, aspectRatio, toProviderReferences(selected), {
+            negativePrompt,
+            numVariations,
+          }),
+        });
+      } catch (requestError) {
+        pending.forEach((copy) => addAsset(copy, 'failure', requestError.message));
+        return;
+      }
+    }
+    requests.get(requestKey).placements.push(placement.name);
+    pending.forEach((copy) =>
+      addAsset(
+        copy,
+        'generate',
+        fromMaster ? `Derived from the ${aspectRatio} master render` : null
+      )
+    );
+  });
+
+  plan.requests = [...requests.values()];
+  plan.estimatedCredits = plan.requests.reduce((sum, request) => sum + request.estimatedCredits, 0);
+  return plan;
+};
+
+/**
+ * Runs a campaign once its journal is open (see runCampaign).
+ * @param {object} brief - The validated campaign brief.
+ * @param {object} options - Run options, with onProgress feeding the journal.
+ * @param {object} services - Provider and reference uploader.
+ * @returns {Promise<object>} Result with campaignName, records and success, failure and skipped counts.
+ * @throws {Error} If a locale has no locale file, strict translation checks fail or every attempted asset failed.
+ */
+const executeCampaign = async (brief, options, { provider, uploader }) => {
+  const startedAt = new Date();
+  const prepared = await prepareCampaign(brief, options, { provider, uploader });
+  if (!prepared) {
+    return {
+      campaignName: brief.campaignName,
+      records: [],
+      successCount: 0,
+      failureCount: 0,
+      skippedCount: 0,
+    };
+  }
+
+  const { locales, context, assetTasks, blockedRecords } = prepared;
+  const { onProgress } = options;
+  const describeTask = (task) => ({ product: task.product.name, placement: task.placement.name });
+  onProgress({ event: 'planned', assets: assetTasks.map(describeTask), records: blockedRecords });
+
+  log(
+    `Processing ${assetTasks.length} asset(s) in ${locales.length} locale(s) with concurrency ${options.concurrency}...`
+  );
+  const results = await runPool(assetTasks, options.concurrency, async (task) => {
+    onProgress({ event: 'started', ...describeTask(task) });
+    const taskRecords = await withLogContext(
+      {
+        product: task.product.name,
+        placement: task.placement.name,
+        ratio: task.placement.aspectRatio,
+      },
+      () => processAsset(task, context)
+    );
+    onProgress({ event: 'finished', ...describeTask(task), records: taskRecords });
+    return taskRecords;
+  });
+  const records = [...results.flat(), ...blockedRecords];
+  const successCount = records.filter((record) => record.status === 'success').length;
+  const failureCount = records.filter((record) =>
+    ['failure', 'blocked'].includes(record.status)
+  ).length;
+  const skippedCount = records.filter((record) => record.status === 'skipped').length;
+
+  try {
+    const reportPaths = writeRunReport({
+      runId: options.runId,
+      campaignName: brief.campaignName,
+      briefPath: options.briefPath,
+      provider: provider.name,
+      locales,
+      startedAt,
+      // Units finished by the run this one resumes or retries stay in the manifest.
+      records: [...records, ...(options.carriedRecords || [])],
+    });
+    log(`Run manifest written to ${reportPaths.manifestPath}`);
+    log(`Run report written to ${reportPaths.reportPath}`);
+  } catch (reportError) {
+    error(`Failed to write run manifest: ${reportError.message}`);
+  }
+
+  log(`Campaign "${brief.campaignName}" processing complete.`);
+  log(
+    `Summary: ${successCount} assets generated successfully, ${skippedCount} unchanged, ${failureCount} failures.`
+  );
+
+  if (failureCount > 0 && successCount === 0 && skippedCount === 0) {
+    throw new Error('All asset generation attempts failed.');
+  } else if (failureCount > 0) {
+    warn(`${failureCount} assets failed to generate. Check logs for details.`);
+  }
+
+  return { campaignName: brief.campaignName, records, successCount, failureCount, skippedCount };
+};
+
+/**
+ * Runs a validated campaign brief: screens copy, uploads references, generates every
+ * product x placement x locale asset and writes the run manifest and report. Each unit of work is journaled
+ * (see openRunJournal), so an interrupted run can be resumed and failed units retried.
+ * @param {object} brief - The validated campaign brief.
+ * @param {object} options - Run options.
+ * @param {string} options.briefPath - Resolved path of the brief file.
+ * @param {string} options.runId - ID of this run, recorded in the manifest and naming its journal; a resumed run
+ *   keeps its ID.
+ * @param {string[]|null} options.locales - Locales from --lang; the brief's locales or the default locale when null.
+ * @param {boolean} options.overlay - Whether to render the text overlay.
+ * @param {number} options.concurrency - Number of assets processed in parallel.
+ * @param {boolean} options.force - Regenerate assets even if cached.
+ * @param {number} [options.variations] - Candidates per asset from --variations; overrides the brief.
+ * @param {boolean} [options.deriveFromMaster] - From --derive: derive placements from one master render per product;
+ *   overrides the brief.
+ * @param {boolean} options.strictI18n - Fail the brief when a locale lacks its copy keys or values.
+ * @param {object[]|null} options.onlySelectors - Parsed --only selectors, or null for everything.
+ * @param {Function} [options.onProgress] - Called with { event: 'planned', assets, records } once the assets are
+ *   known (records are those blocked before generation), then { event: 'started' | 'finished', product, placement }
+ *   around each asset; 'finished' carries the asset's records, one per locale.
+ * @param {object[]|null} [options.units] - Product and placement pairs to run, for --resume and retry-failed;
+ *   null for every selected asset.
+ * @param {object[]} [options.carriedRecords] - Records of units finished by an earlier run, included in the manifest.
+ * @param {string|null} [options.retryOf] - Run whose failed units this run retries, recorded in the journal.
+ * @param {object} services - Services shared across briefs.
+ * @param {object} services.provider - The authenticated image provider.
+ * @param {object} services.uploader - Reference uploader shared across briefs.
+ * @returns {Promise<object>} Result with campaignName, records and success, failure and skipped counts.
+ * @throws {Error} If a locale has no locale file, strict translation checks fail or every attempted asset failed.
+ */
+const runCampaign = async (brief, options, services) => {
+  const journal = openRunJournal({
+    runId: options.runId,
+    campaignName: brief.campaignName,
+    briefPath: options.briefPath,
+    provider: services.provider.name,
+    options,
+    retryOf: options.retryOf,
+  });
+  try {
+    const onProgress = (update) => {
+      journal.update(update);
+      if (options.onProgress) {
+        options.onProgress(update);
+      }
+    };
+    const result = await executeCampaign(brief, { ...options, onProgress }, services);
+    journal.finish('completed');
+    return result;
+  } catch (runError) {
+    journal.finish('failed', runError.message);
+    throw runError;
+  }
+};
+
+module.exports = { runCampaign, planCampaign, previewPrompts, promoteCandidate };
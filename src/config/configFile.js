@@ -0,0 +1,175 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+const schema = require('../../schemas/config.schema.json');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(schema);
+
+/**
+ * Checks whether a value is a plain object (not an array or null).
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ */
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merges settings into a copy of the base; nested objects merge key by key, everything else
+ * (including arrays) replaces the base value.
+ * @param {object} base - Lower-precedence settings.
+ * @param {object} overrides - Higher-precedence settings.
+ * @returns {object} The merged settings.
+ */
+const mergeSettings = (base, overrides) =>
+  Object.entries(overrides).reduce(
+    (merged, [key, value]) => ({
+      ...merged,
+      [key]:
+        isPlainObject(value) && isPlainObject(merged[key])
+          ? mergeSettings(merged[key], value)
+          : value,
+    }),
+    { ...base }
+  );
+
+/**
+ * Reads a dotted path (e.g., "firefly.timeouts.generateMs") from settings.
+ * @param {object} settings - The settings.
+ * @param {string} key - Dotted path.
+ * @returns {*} The value, or undefined when any segment is missing.
+ */
+const getSetting = (settings, key) =>
+  key
+    .split('.')
+    .reduce((value, segment) => (isPlainObject(value) ? value[segment] : undefined), settings);
+
+/**
+ * Builds nested settings holding a single value at a dotted path.
+ * @param {string} key - Dotted path (e.g., "paths.outputs").
+ * @param {*} value - The value.
+ * @returns {object} Settings to merge.
+ */
+const toSettings = (key, value) =>
+  key
+    .split('.')
+    .reverse()
+    .reduce((nested, segment) => ({ [segment]: nested }), value);
+
+/**
+ * Finds the config file named on the command line (--config <file> or --config=<file>) or in CONFIG_FILE.
+ * The command line is scanned here, before the CLI is parsed, so file settings can also serve as option defaults.
+ * @param {string[]} argv - Command line arguments after the script name.
+ * @param {object} env - Environment variables.
+ * @returns {string|null} The config file path, or null when none is given.
+ */
+const findConfigFile = (argv, env) => {
+  const index = argv.findIndex((arg) => arg === '--config' || arg.startsWith('--config='));
+  if (index === -1) {
+    return env.CONFIG_FILE || null;
+  }
+  const value =
+    argv[index] === '--config' ? argv[index + 1] : argv[index].slice('--config='.length);
+  if (!value || value.startsWith('--')) {
+    throw new Error('--config needs a file path.');
+  }
+  return value;
+};
+
+/**
+ * Collects the key=value overrides given with --set on the command line. Values are parsed as YAML,
+ * so numbers, booleans and lists (e.g., "[photo, art]") keep their type.
+ * @param {string[]} argv - Command line arguments after the script name.
+ * @returns {object[]} Settings to merge, in command line order.
+ * @throws {Error} If an override is not of the form key=value.
+ */
+const findSettingOverrides = (argv) =>
+  argv.flatMap((arg, index) => {
+    let assignment;
+    if (arg === '--set') {
+      assignment = argv[index + 1];
+    } else if (arg.startsWith('--set=')) {
+      assignment = arg.slice('--set='.length);
+    } else {
+      return [];
+    }
+    const match = /^([A-Za-z][\w.]*)=(.*)$/.exec(assignment || '');
+    if (!match) {
+      throw new Error(
+        `--set expects key=value (e.g., --set firefly.timeouts.generateMs=60000), got "${assignment || ''}".`
+      );
+    }
+    return [toSettings(match[1], match[2] === '' ? '' : YAML.parse(match[2]))];
+  });
+
+/**
+ * Loads a JSON or YAML config file. Relative paths among the given keys are resolved against
+ * the file's directory, so a config file works from any working directory.
+ * @param {string} filePath - Path to the config file (.json, .yaml or .yml).
+ * @param {string[]} pathKeys - Dotted paths of settings that hold file system paths.
+ * @returns {object} The file's settings.
+ * @throws {Error} If the file cannot be read or parsed, or is not a mapping.
+ */
+const loadConfigFile = (filePath, pathKeys) => {
+  const ext = path.extname(filePath).toLowerCase();
+  if (!['.json', '.yaml', '.yml'].includes(ext)) {
+    throw new Error(
+      `Unsupported config file format "${ext || filePath}". Use .json, .yaml or .yml.`
+    );
+  }
+
+  let settings;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    settings = ext === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (readError) {
+    throw new Error(`Unable to load config file ${filePath}: ${readError.message}`);
+  }
+  if (settings === null || settings === undefined) {
+    return {};
+  }
+  if (!isPlainObject(settings)) {
+    throw new Error(`Config file ${filePath} must contain a mapping of settings.`);
+  }
+
+  const baseDir = path.dirname(path.resolve(filePath));
+  return pathKeys
+    .filter((key) => typeof getSetting(settings, key) === 'string')
+    .reduce(
+      (resolved, key) =>
+        mergeSettings(resolved, toSettings(key, path.resolve(baseDir, getSetting(settings, key)))),
+      settings
+    );
+};
+
+/**
+ * Validates the merged configuration against schemas/config.schema.json.
+ * @param {object} settings - The merged configuration.
+ * @throws {Error} Listing every invalid or unknown setting by its dotted path.
+ */
+const validateConfig = (settings) => {
+  if (validateSchema(settings)) {
+    return;
+  }
+  const problems = validateSchema.errors.map((schemaError) => {
+    const key = schemaError.instancePath.split('/').slice(1).join('.');
+    if (schemaError.keyword === 'additionalProperties') {
+      const unknown = key
+        ? `${key}.${schemaError.params.additionalProperty}`
+        : schemaError.params.additionalProperty;
+      return `${unknown}: unknown setting`;
+    }
+    return `${key || '(root)'}: ${schemaError.message}`;
+  });
+  throw new Error(`Invalid configuration:\n${[...new Set(problems)].join('\n')}`);
+};
+
+module.exports = {
+  mergeSettings,
+  toSettings,
+  findConfigFile,
+  findSettingOverrides,
+  loadConfigFile,
+  validateConfig,
+};
@@ -1,9 +1,357 @@
+const path = require('path');
 require('dotenv').config();
+const {
+  mergeSettings,
+  toSettings,
+  findConfigFile,
+  findSettingOverrides,
+  loadConfigFile,
+  validateConfig,
+} = require('./configFile');
 
-module.exports = {
+// Built-in defaults, the lowest layer. A config file (--config or CONFIG_FILE) overrides them,
+// environment variables override the file and --set key=value on the command line overrides everything.
+const defaults = {
   adobe: {
-    apiKey: process.env.ADOBE_API_KEY,
-    apiSecret: process.env.ADOBE_API_SECRET,
+    apiKey: undefined,
+    apiSecret: undefined,
   },
-  aspectRatios: ['1:1', '9:7', '16:9'],
+  provider: 'firefly',
+  concurrency: 1,
+  requestsPerMinute: 0,
+  // Firefly generative credits charged per generated image, used for dry-run estimates.
+  credits: {
+    perImage: 1,
+  },
+  // Endpoints can point at a regional deployment or a local stand-in server for testing.
+  firefly: {
+    endpoints: {
+      token: 'https://ims-na1.adobelogin.com/ims/token/v3',
+      generate: 'https://firefly-api.adobe.io/v3/images/generate',
+      upload: 'https://firefly-api.adobe.io/v2/storage/image',
+    },
+    timeouts: {
+      tokenMs: 30000,
+      generateMs: 120000,
+      uploadMs: 60000,
+      downloadMs: 60000,
+    },
+    visualIntensity: 4,
+    stylePresets: ['photo'],
+    structureStrength: 100,
+    styleStrength: 50,
+    contentClass: 'photo',
+  },
+  // Reference upload IDs are reused across runs from a cache in the output root until maxAgeHours old;
+  // Firefly keeps uploads for 7 days. 0 turns the cache off.
+  uploadCache: {
+    maxAgeHours: 144,
+  },
+  paths: {
+    briefs: path.join(__dirname, '..', '..', 'inputs', 'briefs'),
+    assets: path.join(__dirname, '..', '..', 'inputs', 'assets'),
+    outputs: path.join(__dirname, '..', '..', 'outputs'),
+  },
+  variations: {
+    count: 1,
+    max: 4,
+    sharpnessWeight: 0.5,
+    paletteWeight: 0.5,
+  },
+  sizeMap: {
+    '1:1': { width: 2048, height: 2048 },
+    '9:7': { width: 2304, height: 1792 },
+    '16:9': { width: 2688, height: 1512 },
+    '7:9': { width: 1792, height: 2304 },
+    '4:3': { width: 1152, height: 896 },
+    '3:4': { width: 896, height: 1152 },
+    '3:2': { width: 1216, height: 832 },
+    '2:3': { width: 832, height: 1216 },
+  },
+  overlay: {
+    backgroundOpacity: 0.45,
+    // Ratios are relative to the image: margin to its shorter side, fontScale and maxHeight to its height.
+    layouts: {
+      '1:1': {
+        position: 'bottom',
+        align: 'center',
+        margin: 0.06,
+        maxWidth: 0.9,
+        maxHeight: 0.3,
+        fontScale: 0.065,
+      },
+      '9:7': {
+        position: 'bottom',
+        align: 'left',
+        margin: 0.06,
+        maxWidth: 0.75,
+        maxHeight: 0.3,
+        fontScale: 0.072,
+      },
+      '16:9': {
+        position: 'bottom',
+        align: 'left',
+        margin: 0.05,
+        maxWidth: 0.6,
+        maxHeight: 0.35,
+        fontScale: 0.085,
+      },
+      square: {
+        position: 'bottom',
+        align: 'center',
+        margin: 0.06,
+        maxWidth: 0.9,
+        maxHeight: 0.3,
+        fontScale: 0.065,
+      },
+      landscape: {
+        position: 'bottom',
+        align: 'left',
+        margin: 0.05,
+        maxWidth: 0.6,
+        maxHeight: 0.35,
+        fontScale: 0.08,
+      },
+      // Portrait placements keep clear of the top and bottom UI chrome of story formats.
+      portrait: {
+        position: 'bottom',
+        align: 'center',
+        margin: 0.12,
+        maxWidth: 0.85,
+        maxHeight: 0.25,
+        fontScale: 0.05,
+      },
+    },
+  },
+  // Defaults for brand compliance; a brief's brand section can override colorTolerance,
+  // minPaletteScore and minLogoSize.
+  brand: {
+    colorTolerance: 60,
+    minPaletteScore: 0.15,
+    minLogoSize: 96,
+    logoScale: 0.12,
+    maxLogoScale: 0.4,
+    logoMargin: 0.04,
+    sampleGrid: 200,
+  },
+  retry: {
+    retries: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    maxRetryAfterMs: 120000,
+  },
+  contentScreening: {
+    rulesPath: path.join(__dirname, 'prohibitedContent.json'),
+  },
+  audienceStyles: {
+    catalogPath: path.join(__dirname, 'audienceStyles.json'),
+  },
+  locales: {
+    dir: path.join(__dirname, '..', 'locales'),
+    defaultLocale: 'en',
+    strict: false,
+  },
+  promptTemplates: {
+    dir: path.join(__dirname, '..', '..', 'inputs', 'templates'),
+    defaultTemplate: 'lifestyle-photo',
+  },
+  placements: {
+    catalogPath: path.join(__dirname, 'placements.json'),
+    defaults: ['instagram-feed', 'stories-reels', 'youtube-thumbnail'],
+    // JPEG qualities tried, in order, when a PNG exceeds a placement's maxFileSizeKB.
+    jpegQualities: [90, 80, 70, 60],
+  },
+  logging: {
+    level: 'info',
+    format: 'text',
+    file: null,
+    maxFileSizeMB: 10,
+    maxFiles: 5,
+  },
+  derivation: {
+    enabled: false,
+    masterRatio: '1:1',
+    // Subject detection runs on a copy scaled to fit analysisSize; the subject box holds subjectCoverage
+    // of the saliency mass. Subjects spanning more than fullSceneExtent of the frame are cropped, never padded.
+    analysisSize: 128,
+    subjectCoverage: 0.9,
+    subjectMargin: 0.1,
+    fullSceneExtent: 0.9,
+  },
+  scenes: {
+    presetsPath: path.join(__dirname, 'scenePresets.json'),
+    defaultPreset: 'studio',
+  },
+  // The serve command's HTTP API; finished jobs beyond maxJobs are forgotten, oldest first.
+  server: {
+    host: '127.0.0.1',
+    port: 8080,
+    maxBodyKB: 1024,
+    maxJobs: 100,
+  },
+};
+
+/**
+ * Parses an environment variable as an integer.
+ * @param {string} value - The raw value.
+ * @returns {number} The integer.
+ * @throws {Error} If the value is not an integer.
+ */
+const asInteger = (value) => {
+  if (!/^-?\d+$/.test(value.trim())) {
+    throw new Error(`expected an integer, got "${value}"`);
+  }
+  return parseInt(value, 10);
+};
+
+/**
+ * Parses an environment variable as a number.
+ * @param {string} value - The raw value.
+ * @returns {number} The number.
+ * @throws {Error} If the value is not numeric.
+ */
+const asNumber = (value) => {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number)) {
+    throw new Error(`expected a number, got "${value}"`);
+  }
+  return number;
+};
+
+/**
+ * Parses an environment variable as a boolean.
+ * @param {string} value - "true" or "false".
+ * @returns {boolean} The boolean.
+ * @throws {Error} If the value is neither.
+ */
+const asBoolean = (value) => {
+  if (!['true', 'false'].includes(value.trim())) {
+    throw new Error(`expected true or false, got "${value}"`);
+  }
+  return value.trim() === 'true';
+};
+
+/**
+ * Parses an environment variable as a comma-separated list.
+ * @param {string} value - The raw value (e.g., "instagram-feed, stories-reels").
+ * @returns {string[]} The non-empty entries.
+ */
+const asList = (value) =>
+  value
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+/**
+ * Returns an environment variable unchanged.
+ * @param {string} value - The raw value.
+ * @returns {string} The value.
+ */
+const asString = (value) => value;
+
+// Environment variables and the settings they override; empty values are ignored.
+const environmentSettings = {
+  ADOBE_API_KEY: ['adobe.apiKey', asString],
+  ADOBE_API_SECRET: ['adobe.apiSecret', asString],
+  IMAGE_PROVIDER: ['provider', asString],
+  GENERATION_CONCURRENCY: ['concurrency', asInteger],
+  FIREFLY_REQUESTS_PER_MINUTE: ['requestsPerMinute', asInteger],
+  FIREFLY_CREDITS_PER_IMAGE: ['credits.perImage', asNumber],
+  FIREFLY_TOKEN_URL: ['firefly.endpoints.token', asString],
+  FIREFLY_GENERATE_URL: ['firefly.endpoints.generate', asString],
+  FIREFLY_UPLOAD_URL: ['firefly.endpoints.upload', asString],
+  FIREFLY_TOKEN_TIMEOUT_MS: ['firefly.timeouts.tokenMs', asInteger],
+  FIREFLY_GENERATE_TIMEOUT_MS: ['firefly.timeouts.generateMs', asInteger],
+  FIREFLY_UPLOAD_TIMEOUT_MS: ['firefly.timeouts.uploadMs', asInteger],
+  FIREFLY_DOWNLOAD_TIMEOUT_MS: ['firefly.timeouts.downloadMs', asInteger],
+  FIREFLY_VISUAL_INTENSITY: ['firefly.visualIntensity', asInteger],
+  FIREFLY_STYLE_PRESETS: ['firefly.stylePresets', asList],
+  FIREFLY_CONTENT_CLASS: ['firefly.contentClass', asString],
+  UPLOAD_CACHE_MAX_AGE_HOURS: ['uploadCache.maxAgeHours', asNumber],
+  BRIEFS_DIR: ['paths.briefs', asString],
+  ASSETS_DIR: ['paths.assets', asString],
+  OUTPUT_DIR: ['paths.outputs', asString],
+  GENERATION_VARIATIONS: ['variations.count', asInteger],
+  FIREFLY_MAX_RETRIES: ['retry.retries', asInteger],
+  FIREFLY_RETRY_BASE_DELAY_MS: ['retry.baseDelayMs', asInteger],
+  PROHIBITED_CONTENT_PATH: ['contentScreening.rulesPath', asString],
+  AUDIENCE_STYLES_PATH: ['audienceStyles.catalogPath', asString],
+  LOCALES_DIR: ['locales.dir', asString],
+  DEFAULT_LOCALE: ['locales.defaultLocale', asString],
+  I18N_STRICT: ['locales.strict', asBoolean],
+  PROMPT_TEMPLATES_DIR: ['promptTemplates.dir', asString],
+  PLACEMENTS_PATH: ['placements.catalogPath', asString],
+  DEFAULT_PLACEMENTS: ['placements.defaults', asList],
+  LOG_LEVEL: ['logging.level', asString],
+  LOG_FORMAT: ['logging.format', asString],
+  LOG_FILE: ['logging.file', asString],
+  LOG_FILE_MAX_SIZE_MB: ['logging.maxFileSizeMB', asNumber],
+  LOG_FILE_MAX_FILES: ['logging.maxFiles', asInteger],
+  DERIVE_FROM_MASTER: ['derivation.enabled', asBoolean],
+  MASTER_ASPECT_RATIO: ['derivation.masterRatio', asString],
+  SCENE_PRESETS_PATH: ['scenes.presetsPath', asString],
+  SERVER_HOST: ['server.host', asString],
+  SERVER_PORT: ['server.port', asInteger],
+};
+
+// Settings holding file system paths; relative ones in a config file resolve against the file's directory.
+const pathSettings = [
+  'paths.briefs',
+  'paths.assets',
+  'paths.outputs',
+  'contentScreening.rulesPath',
+  'audienceStyles.catalogPath',
+  'locales.dir',
+  'promptTemplates.dir',
+  'placements.catalogPath',
+  'scenes.presetsPath',
+  'logging.file',
+];
+
+/**
+ * Reads the environment variables that are set into settings.
+ * @param {object} env - Environment variables.
+ * @returns {object} Settings to merge.
+ * @throws {Error} If a variable cannot be parsed.
+ */
+const readEnvironment = (env) =>
+  Object.entries(environmentSettings)
+    .filter(([name]) => env[name] !== undefined && env[name] !== '')
+    .reduce((settings, [name, [key, parse]]) => {
+      let value;
+      try {
+        value = parse(env[name]);
+      } catch (parseError) {
+        throw new Error(`${name}: ${parseError.message}`);
+      }
+      return mergeSettings(settings, toSettings(key, value));
+    }, {});
+
+/**
+ * Builds the configuration from its layers: defaults, config file, environment, then --set overrides.
+ * @param {string[]} argv - Command line arguments after the script name.
+ * @param {object} env - Environment variables.
+ * @returns {object} The validated configuration.
+ * @throws {Error} If a layer cannot be read or the result is invalid.
+ */
+const buildConfig = (argv, env) => {
+  const configFile = findConfigFile(argv, env);
+  const layers = [
+    configFile ? loadConfigFile(configFile, pathSettings) : {},
+    readEnvironment(env),
+    ...findSettingOverrides(argv),
+  ];
+  const settings = layers.reduce(mergeSettings, defaults);
+  validateConfig(settings);
+  return { ...settings, configFile: configFile ? path.resolve(configFile) : null };
 };
+
+try {
+  module.exports = buildConfig(process.argv.slice(2), process.env);
+} catch (configError) {
+  // The logger depends on this module, so configuration errors are reported directly.
+  console.error(
+    `[ERROR] ${new Date().toISOString()} - Configuration error: ${configError.message}`
+  );
+  process.exit(1);
+}
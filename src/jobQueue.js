@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { error } = require('./utils/logger');
+
+/**
+ * Creates the job state for a submitted brief.
+ * @param {string} id - Job ID.
+ * @param {object} submission - The validated submission.
+ * @returns {object} The job, with status 'queued'.
+ */
+const createJob = (id, { brief, briefPath, options }) => ({
+  id,
+  status: 'queued',
+  campaignName: brief.campaignName,
+  brief,
+  briefPath,
+  options,
+  submittedAt: new Date().toISOString(),
+  startedAt: null,
+  finishedAt: null,
+  error: null,
+  assets: [],
+  result: null,
+});
+
+/**
+ * Applies a runCampaign progress update to a job: the planned assets, then each asset starting and finishing.
+ * Assets blocked before generation arrive as records with the plan and are finished right away.
+ * @param {object} job - The job to update.
+ * @param {object} update - Progress update from runCampaign's onProgress.
+ */
+const applyProgress = (job, update) => {
+  const findAsset = (product, placement) =>
+    job.assets.find((asset) => asset.product === product && asset.placement === placement);
+
+  if (update.event === 'planned') {
+    job.assets = update.assets.map(({ product, placement }) => ({
+      product,
+      placement,
+      status: 'pending',
+      records: [],
+    }));
+    update.records.forEach((record) => {
+      let asset = findAsset(record.product, record.placement);
+      if (!asset) {
+        asset = {
+          product: record.product,
+          placement: record.placement,
+          status: 'done',
+          records: [],
+        };
+        job.assets.push(asset);
+      }
+      asset.records.push(record);
+    });
+    return;
+  }
+
+  const asset = findAsset(update.product, update.placement);
+  if (!asset) {
+    return;
+  }
+  if (update.event === 'started') {
+    asset.status = 'running';
+  } else if (update.event === 'finished') {
+    asset.status = 'done';
+    asset.records = [...asset.records, ...update.records];
+  }
+};
+
+/**
+ * Creates an in-memory queue that runs submitted briefs in the background, one at a time, so jobs for
+ * the same campaign never write to its output directory and asset cache concurrently.
+ * @param {object} options - Queue options.
+ * @param {Function} options.runJob - Async function called with (job, onProgress) that runs the job's brief and
+ *   returns the campaign result.
+ * @param {number} options.maxJobs - Finished jobs beyond this many are forgotten, oldest first.
+ * @returns {{submit: Function, get: Function, list: Function}} The queue.
+ */
+const createJobQueue = ({ runJob, maxJobs }) => {
+  const jobs = new Map();
+  const pending = [];
+  let active = null;
+
+  const forgetOldJobs = () => {
+    const finished = [...jobs.values()].filter((job) =>
+      ['completed', 'failed'].includes(job.status)
+    );
+    finished.slice(0, Math.max(jobs.size - maxJobs, 0)).forEach((job) => jobs.delete(job.id));
+  };
+
+  const runNext = async () => {
+    if (active || pending.length === 0) {
+      return;
+    }
+    active = pending.shift();
+    const job = active;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    try {
+      job.result = await runJob(job, (update) => applyProgress(job, update));
+      job.status = 'completed';
+    } catch (jobError) {
+      error(`Job ${job.id} for campaign "${job.campaignName}" failed: ${jobError.message}`);
+      job.status = 'failed';
+      job.error = jobError.message;
+    }
+    job.finishedAt = new Date().toISOString();
+    active = null;
+    forgetOldJobs();
+    runNext();
+  };
+
+  /**
+   * Queues a validated submission.
+   * @param {object} submission - The brief, the path it was saved to and its run options.
+   * @param {string} [id] - Job ID; a random UUID by default.
+   * @returns {object} The queued job.
+   */
+  const submit = (submission, id = crypto.randomUUID()) => {
+    const job = createJob(id, submission);
+    jobs.set(job.id, job);
+    pending.push(job);
+    runNext();
+    return job;
+  };
+
+  /**
+   * Looks up a job.
+   * @param {string} id - Job ID.
+   * @returns {object|null} The job, or null when unknown or forgotten.
+   */
+  const get = (id) => jobs.get(id) || null;
+
+  /**
+   * Lists the known jobs, oldest first.
+   * @returns {object[]} The jobs.
+   */
+  const list = () => [...jobs.values()];
+
+  return { submit, get, list };
+};
+
+module.exports = { createJobQueue };
@@ -1,256 +1,816 @@
+const crypto = require('crypto');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
-const i18next = require('i18next');
-const path = require('path');
-const { loadBrief, checkAssetExists, saveAsset, findProductAssets } = require('./utils/fileHandler');
-const { getAccessToken, generateImage, uploadImage } = require('./services/firefly');
-const { log, error } = require('./utils/logger');
+const { resolveBriefPath, resolveBriefPaths } = require('./utils/fileHandler');
+const { createProvider, listProviders } = require('./services');
+const { createReferenceUploader } = require('./services/referenceUploads');
+const { log, error, warn, configureLogger, withLogContext } = require('./utils/logger');
 const config = require('./config');
-const { generateDetailedPrompt } = require('./utils/promptGenerator');
+const { validateBriefFile, formatValidationError } = require('./utils/briefSchema');
+const { createRateLimiter } = require('./utils/concurrency');
+const { runCampaign, planCampaign, previewPrompts, promoteCandidate } = require('./campaign');
+const { writeDryRunReport } = require('./utils/runReport');
+const { loadRunJournal } = require('./utils/runJournal');
+const {
+  initI18n,
+  checkTranslations,
+  parseLocaleList,
+  assertLocalesAvailable,
+} = require('./utils/locales');
+const { getPlacement } = require('./utils/placements');
+const { startApiServer } = require('./server');
 
+/**
+ * Loads a campaign brief and validates it against the brief schema, logging any warnings.
+ * @param {string} briefPath - Resolved path to the brief file.
+ * @returns {object} The validated brief.
+ * @throws {Error} Listing every validation problem with its location.
+ */
+const loadValidatedBrief = (briefPath) => {
+  const { brief, errors, warnings } = validateBriefFile(briefPath);
+  warnings.forEach((validationWarning) => warn(formatValidationError(validationWarning)));
+  if (errors.length > 0) {
+    throw new Error(
+      `Campaign brief has ${errors.length} problem(s):\n${errors.map(formatValidationError).join('\n')}`
+    );
+  }
+  return brief;
+};
 
-const argv = yargs(hideBin(process.argv))
-  .option('brief', {
-    alias: 'b',
-    description: 'Path to the campaign brief file (e.g., campaign.json or /path/to/my-brief.json)',
-    type: 'string',
-    demandOption: true,
-  })
-  .option('lang', {
-    alias: 'l',
-    description: 'Language for the campaign message (e.g., en, es)',
-    type: 'string',
-    default: 'en',
-  })
-  .help()
-  .alias('help', 'h').argv;
-
-i18next.init({
-  lng: argv.lang, 
-  fallbackLng: 'en',
-  resources: {
-    en: {
-      translation: require('./locales/en.json').translation,
-    },
-    es: {
-      translation: require('./locales/es.json').translation,
-    },
-  },
-});
+/**
+ * Parses --only selectors of the form "product:placement", "product:ratio" or "product".
+ * A ratio itself contains a colon, so only the first colon separates it from the product name.
+ * @param {string[]} [selectors] - Raw selector values; comma-separated lists are accepted.
+ * @returns {object[]|null} Parsed { product, placement } selectors, or null when none are given.
+ */
+const parseOnlySelectors = (selectors) => {
+  if (!selectors || selectors.length === 0) {
+    return null;
+  }
+
+  return selectors
+    .flatMap((value) => String(value).split(','))
+    .map((value) => value.trim())
+    .filter(Boolean)
+    .map((value) => {
+      const separator = value.indexOf(':');
+      return separator === -1
+        ? { product: value, placement: null }
+        : { product: value.slice(0, separator), placement: value.slice(separator + 1) };
+    });
+};
 
 /**
- * Validates the campaign brief structure and required fields.
- * @param {object} brief - The loaded campaign brief.
+ * Validates configuration and environment setup.
+ * @param {object} provider - The selected image provider.
+ * @param {object} [options] - Validation options.
+ * @param {boolean} [options.requireCredentials=true] - Check provider credentials; dry runs never use them.
  * @throws {Error} If validation fails.
  */
-const validateBrief = (brief) => {
-  if (!brief) {
-    throw new Error('Campaign brief is empty or invalid.');
+const validateEnvironment = (provider, { requireCredentials = true } = {}) => {
+  if (config.placements.defaults.length === 0) {
+    throw new Error(
+      'Configuration error: placements.defaults (DEFAULT_PLACEMENTS) must name at least one placement.'
+    );
   }
+  config.placements.defaults.forEach((name) => getPlacement(name));
 
-  const requiredFields = ['campaignName', 'targetAudience', 'targetRegion', 'campaignMessage', 'products'];
-  const missingFields = requiredFields.filter(field => !brief[field]);
-  
-  if (missingFields.length > 0) {
-    throw new Error(`Campaign brief is missing required fields: ${missingFields.join(', ')}`);
+  const { count, max } = config.variations;
+  if (!Number.isInteger(count) || count < 1 || count > max) {
+    throw new Error(
+      `Configuration error: variations.count (GENERATION_VARIATIONS) must be an integer between 1 and ${max}.`
+    );
   }
 
-  if (!Array.isArray(brief.products) || brief.products.length === 0) {
-    throw new Error('Campaign brief must contain at least one product.');
+  if (!config.sizeMap[config.derivation.masterRatio]) {
+    throw new Error(
+      `Configuration error: derivation.masterRatio (MASTER_ASPECT_RATIO) must be one of ${Object.keys(config.sizeMap).join(', ')}.`
+    );
   }
 
-  brief.products.forEach((product, index) => {
-    if (!product.name || !product.description) {
-      throw new Error(`Product at index ${index} is missing required fields (name, description).`);
-    }
-  });
+  if (!requireCredentials || !provider.requiresCredentials) {
+    return;
+  }
+
+  if (!config.adobe || !config.adobe.apiKey || !config.adobe.apiSecret) {
+    throw new Error('Configuration error: Adobe API credentials are missing.');
+  }
 };
 
 /**
- * Resolves the campaign brief file path, supporting both relative and absolute paths.
- * @param {string} briefInput - The brief file path provided by the user.
- * @returns {string} The resolved absolute path to the brief file.
+ * Builds the campaign run options from the command line.
+ * @param {object} argv - Parsed command line arguments.
+ * @param {string[]|null} locales - Parsed --lang locales.
+ * @returns {object} Options for runCampaign and planCampaign.
+ */
+const getRunOptions = (argv, locales) => ({
+  locales,
+  overlay: argv.overlay,
+  concurrency: argv.concurrency,
+  force: argv.force,
+  variations: argv.variations,
+  deriveFromMaster: argv.derive,
+  strictI18n: argv.strictI18n,
+  onlySelectors: parseOnlySelectors(argv.only),
+});
+
+/**
+ * Rebuilds a run from its journal: either the units an interrupted run had not finished (resume), keeping its
+ * run ID, or the units a finished run failed (retry), as a new run. The journal's run options are replayed and the
+ * records of the units not rerun are carried into the new manifest. The run keeps the provider it was journaled with.
+ * @param {string} runId - ID of the earlier run.
+ * @param {object} options - Run options from the command line; the journal's replayed options take precedence.
+ * @param {object} selection - What to rerun.
+ * @param {boolean} selection.retry - Retry failed units instead of resuming unfinished ones.
+ * @param {string} [selection.provider] - Provider named with --provider, if any.
+ * @returns {{briefPath: string, provider: string, options: object}|null} The run, or null when there is nothing
+ *   left to do.
+ * @throws {Error} If the run has no journal or --provider names a different provider than the run used.
  */
-const resolveBriefPath = (briefInput) => {
-  if (path.isAbsolute(briefInput)) {
-    return briefInput;
+const getJournaledRun = (runId, options, { retry, provider }) => {
+  const journal = loadRunJournal(runId);
+  if (provider && provider !== journal.provider) {
+    throw new Error(
+      `Run ${runId} was generated with the ${journal.provider} provider; drop --provider or pass --provider ${journal.provider}.`
+    );
   }
-  
-  if (briefInput.includes('/') || briefInput.includes('\\')) {
-    return path.resolve(briefInput);
+  const selected = journal.units.filter((unit) =>
+    retry ? unit.status === 'failed' : ['planned', 'in-progress'].includes(unit.status)
+  );
+  if (selected.length === 0 && (retry || journal.status === 'completed')) {
+    log(
+      retry
+        ? `Run ${runId} has no failed items to retry.`
+        : `Run ${runId} already completed; nothing to resume.`
+    );
+    return null;
   }
-  
-  return path.join(__dirname, '..', 'inputs', 'briefs', briefInput);
+
+  const carriedRecords = journal.units
+    .filter((unit) => !selected.includes(unit))
+    .flatMap((unit) => unit.records);
+  log(
+    retry
+      ? `Retrying ${selected.length} failed item(s) of run ${runId} for campaign "${journal.campaignName}".`
+      : `Resuming run ${runId} for campaign "${journal.campaignName}": ${journal.units.length - selected.length} item(s) finished, ${selected.length} left.`
+  );
+  return {
+    briefPath: journal.briefPath,
+    provider: journal.provider,
+    options: {
+      ...options,
+      ...journal.options,
+      runId: retry ? crypto.randomUUID() : runId,
+      retryOf: retry ? runId : null,
+      // A run interrupted before planning its units starts over.
+      units:
+        selected.length > 0
+          ? selected.map(({ product, placement }) => ({ product, placement }))
+          : null,
+      carriedRecords,
+    },
+  };
 };
 
 /**
- * Validates configuration and environment setup.
- * @throws {Error} If validation fails.
+ * Lists the brief runs to perform: a new run per brief file, or the single run named by --resume or retry-failed.
+ * @param {object} argv - Parsed command line arguments.
+ * @param {object} options - Run options from the command line.
+ * @returns {Array<{briefPath: string, provider: string, options: object}>} The runs, each with its own run ID.
+ * @throws {Error} If the briefs or the journal cannot be found, or --provider contradicts the journal.
  */
-const validateEnvironment = () => {
-  if (!config.aspectRatios || !Array.isArray(config.aspectRatios) || config.aspectRatios.length === 0) {
-    throw new Error('Configuration error: aspectRatios must be defined and contain at least one ratio.');
-  }
-
-  if (!config.adobe || !config.adobe.apiKey || !config.adobe.apiSecret) {
-    throw new Error('Configuration error: Adobe API credentials are missing.');
+const getBriefRuns = (argv, options) => {
+  if (argv.resume || argv.retryFailed) {
+    const run = getJournaledRun(argv.resume || argv.retryFailed, options, {
+      retry: Boolean(argv.retryFailed),
+      provider: argv.provider,
+    });
+    return run ? [run] : [];
   }
+  return resolveBriefPaths(argv.brief).map((briefPath) => ({
+    briefPath,
+    provider: argv.provider || config.provider,
+    options: { ...options, runId: crypto.randomUUID() },
+  }));
 };
 
 /**
  * Main function to orchestrate the ad generation process.
+ * The brief argument may name one file, a directory or a glob; each brief is processed in turn
+ * and a failing brief does not stop the rest of the batch. With --resume or retry-failed, the run is
+ * rebuilt from its journal instead.
+ * @param {object} argv - Parsed command line arguments.
  */
-const main = async () => {
-  let accessToken = null;
-  let brief = null;
-  let successCount = 0;
-  let failureCount = 0;
+const main = async (argv) => {
+  const results = [];
+  const failedBriefs = [];
 
   try {
+    const locales = parseLocaleList(argv.lang);
+    if (locales) {
+      assertLocalesAvailable(locales);
+    }
+
+    const runs = getBriefRuns(argv, getRunOptions(argv, locales));
+    if (runs.length === 0) {
+      return;
+    }
+
+    const provider = createProvider(runs[0].provider, { limiter: createRateLimiter(argv.rpm) });
+    log(`Using image provider: ${provider.name}`);
+
     log('Validating environment and configuration...');
-    validateEnvironment();
+    validateEnvironment(provider);
     log('Environment validation passed.');
+    log(`Found ${runs.length} campaign brief(s) to process.`);
 
-    log('Authenticating with Adobe...');
+    log('Authenticating with image provider...');
     try {
-      accessToken = await getAccessToken();
+      await provider.authenticate();
       log('Authentication successful.');
     } catch (authError) {
-      error('Failed to authenticate with Adobe API. Please check your credentials.');
+      error('Failed to authenticate with the image provider. Please check your credentials.');
       throw new Error(`Authentication failed: ${authError.message}`);
     }
 
-    log('Loading campaign brief...');
-    try {
-      const briefPath = resolveBriefPath(argv.brief);
-      log(`Resolved brief path: ${briefPath}`);
-      brief = loadBrief(briefPath);
-      validateBrief(brief);
-      log('Campaign brief loaded and validated successfully.');
-    } catch (briefError) {
-      error(`Failed to load or validate campaign brief: ${briefError.message}`);
-      throw new Error(`Brief loading failed: ${briefError.message}`);
+    initI18n();
+    const uploader = createReferenceUploader(provider);
+
+    for (const { briefPath, options } of runs) {
+      log(`Loading campaign brief: ${briefPath}`);
+      try {
+        const brief = loadValidatedBrief(briefPath);
+        log('Campaign brief loaded and validated successfully.');
+        const { runId } = options;
+        log(`Run ID: ${runId} (continue it with --resume ${runId} if it is interrupted)`);
+        results.push(
+          await withLogContext({ campaign: brief.campaignName, runId }, () =>
+            runCampaign(brief, { ...options, briefPath }, { provider, uploader })
+          )
+        );
+      } catch (briefError) {
+        error(`Campaign brief ${briefPath} failed: ${briefError.message}`);
+        failedBriefs.push(briefPath);
+      }
     }
 
-    log(`Starting campaign: "${brief.campaignName}"`);
-    log(`Target Audience: ${brief.targetAudience}, Region: ${brief.targetRegion}`);
+    if (
+      parseOnlySelectors(argv.only) &&
+      failedBriefs.length === 0 &&
+      results.every((result) => result.records.length === 0)
+    ) {
+      throw new Error(`No products or placements match --only ${argv.only.join(', ')}`);
+    }
 
-    let campaignMessage;
-    try {
-      campaignMessage = i18next.t(brief.campaignMessage);
-      if (campaignMessage === brief.campaignMessage) {
-        log(`Warning: No translation found for key "${brief.campaignMessage}". Using key as fallback.`);
-      }
-      log(`Using campaign message: "${campaignMessage}"`);
-    } catch (i18nError) {
-      error(`Translation error: ${i18nError.message}`);
-      campaignMessage = brief.campaignMessage;
-      log(`Using fallback campaign message: "${campaignMessage}"`);
+    if (runs.length > 1) {
+      const total = (key) => results.reduce((sum, result) => sum + result[key], 0);
+      log(
+        `Batch summary: ${results.length} of ${runs.length} brief(s) completed, ` +
+          `${total('successCount')} assets generated, ${total('skippedCount')} unchanged, ${total('failureCount')} failures.`
+      );
     }
 
-    for (const product of brief.products) {
-      log(`Processing product: ${product.name}`);
+    if (failedBriefs.length > 0) {
+      throw new Error(
+        `${failedBriefs.length} campaign brief(s) failed: ${failedBriefs.join(', ')}`
+      );
+    }
+  } catch (err) {
+    error(`A critical error occurred: ${err.message}`);
+    if (argv.brief) {
+      error(`Brief input: ${argv.brief}`);
+    }
+    process.exit(1);
+  }
+};
 
-      let productAssets = [];
-      let uploadedAssetId = null;
-      
-      try {
-        productAssets = findProductAssets(product.name);
-        if (productAssets.length > 0) {
-          log(`Found ${productAssets.length} asset(s) for ${product.name}: ${productAssets.map(f => path.basename(f)).join(', ')}`);
-          
-          try {
-            uploadedAssetId = await uploadImage(productAssets[0], accessToken);
-            log(`Asset uploaded for style reference: ${path.basename(productAssets[0])}`);
-          } catch (uploadError) {
-            error(`Failed to upload asset for ${product.name}: ${uploadError.message}`);
-            log('Continuing with text-only generation...');
+/**
+ * Prints the rendered prompt for each product in each brief without authenticating or generating.
+ * @param {object} argv - Parsed command line arguments.
+ */
+const showPrompts = (argv) => {
+  try {
+    initI18n();
+    const onlySelectors = parseOnlySelectors(argv.only);
+    resolveBriefPaths(argv.brief).forEach((briefPath) => {
+      const brief = loadValidatedBrief(briefPath);
+      log(`Prompts for campaign "${brief.campaignName}" (${briefPath}):`);
+      previewPrompts(brief, onlySelectors).forEach(
+        ({ product, promptTemplate, prompt, negativePrompt }) => {
+          log(`--- ${product} (template: ${promptTemplate}) ---\n${prompt}`);
+          if (negativePrompt) {
+            log(`Negative prompt for ${product}: ${negativePrompt}`);
           }
-        } else {
-          log(`No assets found for ${product.name}, using text-only generation.`);
         }
-      } catch (assetError) {
-        error(`Error checking assets for ${product.name}: ${assetError.message}`);
-        log('Continuing with text-only generation...');
+      );
+    });
+  } catch (err) {
+    error(`Failed to render prompts: ${err.message}`);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Plans each brief without authenticating, uploading or generating: prints the provider request payloads,
+ * the assets that would be skipped and the estimated credit cost, and writes dry-run.json per campaign.
+ * @param {object} argv - Parsed command line arguments.
+ */
+const dryRunCommand = async (argv) => {
+  let failedBriefs = 0;
+  let totalCredits = 0;
+
+  try {
+    const provider = createProvider(argv.provider || config.provider);
+    validateEnvironment(provider, { requireCredentials: false });
+    const locales = parseLocaleList(argv.lang);
+    if (locales) {
+      assertLocalesAvailable(locales);
+    }
+    initI18n();
+    const options = getRunOptions(argv, locales);
+
+    for (const briefPath of resolveBriefPaths(argv.brief)) {
+      try {
+        const brief = loadValidatedBrief(briefPath);
+        const plan = await withLogContext(
+          { campaign: brief.campaignName, runId: crypto.randomUUID() },
+          () => planCampaign(brief, { ...options, briefPath }, { provider })
+        );
+
+        plan.requests.forEach((request, index) => {
+          log(
+            `Request ${index + 1} of ${plan.requests.length}: ${request.product} at ${request.aspectRatio} for ${request.placements.join(', ')} (~${request.estimatedCredits} credit(s))`
+          );
+          log(JSON.stringify({ endpoint: request.endpoint, payload: request.payload }, null, 2));
+        });
+        const selectAssets = (action) => plan.assets.filter((asset) => asset.action === action);
+        selectAssets('skip').forEach((asset) =>
+          log(`Would skip ${asset.product} (${asset.placement}, ${asset.locale}): ${asset.reason}`)
+        );
+        [...selectAssets('blocked'), ...selectAssets('failure')].forEach((asset) =>
+          warn(
+            `Would not generate ${asset.product} (${asset.placement}, ${asset.locale}): ${asset.reason}`
+          )
+        );
+        log(
+          `Dry run for "${plan.campaignName}": ${plan.requests.length} request(s), ${selectAssets('generate').length} asset(s) to generate, ` +
+            `${selectAssets('skip').length} unchanged, ${selectAssets('blocked').length + selectAssets('failure').length} not generated. ` +
+            `Estimated cost: ${plan.estimatedCredits} credit(s) with ${plan.provider}.`
+        );
+        log(`Dry-run plan written to ${writeDryRunReport(plan)}`);
+        totalCredits += plan.estimatedCredits;
+      } catch (briefError) {
+        error(`Campaign brief ${briefPath} failed: ${briefError.message}`);
+        failedBriefs += 1;
       }
+    }
 
-      for (const aspectRatio of config.aspectRatios) {
-        try {
-          const assetExists = checkAssetExists(product.name, aspectRatio);
-          if (assetExists) {
-            log(`Asset for ${product.name} (${aspectRatio}) already exists. Skipping.`);
-            continue;
-          }
+    log(`Estimated total: ${totalCredits} credit(s). Nothing was uploaded or generated.`);
+  } catch (err) {
+    error(`Dry run failed: ${err.message}`);
+    failedBriefs += 1;
+  }
 
-          log(`Generating asset for ${product.name} (${aspectRatio})...`);
+  if (failedBriefs > 0) {
+    process.exitCode = 1;
+  }
+};
 
-          let prompt;
-          try {
-            prompt = generateDetailedPrompt(product, brief, campaignMessage);
-            log(`Using prompt: "${prompt.substring(0, 100)}..."`);
-          } catch (promptError) {
-            error(`Failed to generate prompt for ${product.name}: ${promptError.message}`);
-            failureCount++;
-            continue;
-          }
+/**
+ * Validates a campaign brief and reports every problem without generating anything.
+ * Needs no credentials or network access.
+ * @param {object} argv - Parsed command line arguments.
+ */
+const validateCommand = (argv) => {
+  const briefPath = resolveBriefPath(argv.brief);
+  const { errors, warnings } = validateBriefFile(briefPath);
+  warnings.forEach((validationWarning) => warn(formatValidationError(validationWarning)));
 
-          let imageData;
-          try {
-            if (uploadedAssetId) {
-              log(`Generating image with style reference from asset...`);
-              imageData = await generateImage(prompt, aspectRatio, accessToken, uploadedAssetId);
-            } else {
-              log(`Generating image with text-only prompt...`);
-              imageData = await generateImage(prompt, aspectRatio, accessToken);
-            }
-          } catch (imageError) {
-            error(`Failed to generate image for ${product.name} (${aspectRatio}): ${imageError.message}`);
-            failureCount++;
-            continue;
-          }
+  if (errors.length === 0) {
+    log(`Brief is valid: ${briefPath}`);
+    return;
+  }
 
-          if (imageData) {
-            try {
-              saveAsset(brief.campaignName, product.name, aspectRatio, imageData);
-              log(`Asset for ${product.name} (${aspectRatio}) generated and saved successfully.`);
-              successCount++;
-            } catch (saveError) {
-              error(`Failed to save asset for ${product.name} (${aspectRatio}): ${saveError.message}`);
-              failureCount++;
-            }
-          } else {
-            error(`Failed to generate asset for ${product.name} (${aspectRatio}): No image data returned.`);
-            failureCount++;
-          }
-        } catch (productError) {
-          error(`Unexpected error processing ${product.name} (${aspectRatio}): ${productError.message}`);
-          failureCount++;
-          continue;
-        }
+  errors.forEach((validationError) => error(formatValidationError(validationError)));
+  error(`Brief validation failed with ${errors.length} problem(s).`);
+  process.exitCode = 1;
+};
+
+/**
+ * Checks that every requested locale translates each brief's copy keys and has values for their placeholders.
+ * Accepts a brief file, directory or glob. Needs no credentials or network access.
+ * @param {object} argv - Parsed command line arguments.
+ */
+const i18nCheckCommand = (argv) => {
+  let problemCount = 0;
+
+  try {
+    const requestedLocales = parseLocaleList(argv.lang);
+    resolveBriefPaths(argv.brief).forEach((briefPath) => {
+      const { brief, errors } = validateBriefFile(briefPath);
+      if (errors.length > 0) {
+        errors.forEach((validationError) => error(formatValidationError(validationError)));
+        problemCount += errors.length;
+        return;
       }
-    }
 
-    log('Campaign processing complete.');
-    log(`Summary: ${successCount} assets generated successfully, ${failureCount} failures.`);
-    
-    if (failureCount > 0 && successCount === 0) {
-      throw new Error('All asset generation attempts failed.');
-    } else if (failureCount > 0) {
-      log(`Warning: ${failureCount} assets failed to generate. Check logs for details.`);
+      const locales = assertLocalesAvailable(
+        requestedLocales || brief.locales || [config.locales.defaultLocale]
+      );
+      const problems = checkTranslations(brief, locales);
+      if (problems.length === 0) {
+        log(`Translations complete for ${briefPath} (${locales.join(', ')}).`);
+        return;
+      }
+
+      problems.forEach((problem) => error(`${briefPath}: ${problem.message}`));
+      problemCount += problems.length;
+    });
+  } catch (checkError) {
+    error(checkError.message);
+    problemCount += 1;
+  }
+
+  if (problemCount > 0) {
+    error(`Translation check failed with ${problemCount} problem(s).`);
+    process.exitCode = 1;
+  }
+};
+
+/**
+ * Starts the HTTP API: authenticates once, then runs submitted briefs as background jobs until stopped.
+ * @param {object} argv - Parsed command line arguments.
+ */
+const serveCommand = async (argv) => {
+  try {
+    const provider = createProvider(argv.provider, { limiter: createRateLimiter(argv.rpm) });
+    log(`Using image provider: ${provider.name}`);
+    validateEnvironment(provider);
+
+    log('Authenticating with image provider...');
+    try {
+      await provider.authenticate();
+      log('Authentication successful.');
+    } catch (authError) {
+      error('Failed to authenticate with the image provider. Please check your credentials.');
+      throw new Error(`Authentication failed: ${authError.message}`);
     }
 
+    initI18n();
+    await startApiServer({
+      host: argv.host,
+      port: argv.port,
+      provider,
+      uploader: createReferenceUploader(provider),
+      runOptions: getRunOptions(argv, null),
+    });
   } catch (err) {
-    error(`A critical error occurred: ${err.message}`);
-    
-    if (brief) {
-      error(`Campaign: ${brief.campaignName || 'Unknown'}`);
-    }
-    if (argv.brief) {
-      error(`Brief file: ${argv.brief}`);
-    }
-    
+    error(`Failed to start the API server: ${err.message}`);
     process.exit(1);
   }
 };
 
-main();
+/**
+ * Promotes one saved candidate variation to the final asset, overriding the automatic selection.
+ * Needs no credentials or network access.
+ * @param {object} argv - Parsed command line arguments.
+ */
+const selectCommand = (argv) => {
+  try {
+    const brief = loadValidatedBrief(resolveBriefPath(argv.brief));
+    const finalPaths = promoteCandidate(brief, {
+      product: argv.product,
+      placement: argv.placement,
+      variation: argv.variation,
+      locales: parseLocaleList(argv.lang),
+    });
+    log(
+      `Selected variation ${argv.variation} for ${argv.product} (${argv.placement}) in ${finalPaths.length} locale(s).`
+    );
+  } catch (selectError) {
+    error(`Failed to select candidate: ${selectError.message}`);
+    process.exitCode = 1;
+  }
+};
+
+yargs(hideBin(process.argv))
+  // Both are read by src/config before the command line is parsed; they are declared here for --help.
+  .option('config', {
+    description:
+      'Config file (JSON or YAML) layered between the defaults and environment variables',
+    type: 'string',
+    default: config.configFile || undefined,
+  })
+  .option('set', {
+    description:
+      'Override a setting by its dotted path, e.g. --set firefly.endpoints.generate=http://localhost:8080/generate (repeatable)',
+    type: 'string',
+  })
+  .option('log-level', {
+    description: 'Minimum level to log',
+    type: 'string',
+    choices: ['debug', 'info', 'warn', 'error'],
+    default: config.logging.level,
+  })
+  .option('log-format', {
+    description:
+      'Log line format; json lines carry campaign, runId, product, placement, ratio and requestId fields',
+    type: 'string',
+    choices: ['text', 'json'],
+    default: config.logging.format,
+  })
+  .option('log-file', {
+    description: `Also append log lines to this file, rotated at ${config.logging.maxFileSizeMB} MB`,
+    type: 'string',
+    default: config.logging.file || undefined,
+  })
+  .middleware((argv) =>
+    configureLogger({ level: argv.logLevel, format: argv.logFormat, file: argv.logFile || null })
+  )
+  .command(
+    '$0',
+    'Generate creative assets for one or more campaign briefs',
+    (command) =>
+      command
+        .option('brief', {
+          alias: 'b',
+          description:
+            'Campaign brief file, directory of briefs or quoted glob (e.g., campaign.json, inputs/briefs, "briefs/*.yaml")',
+          type: 'string',
+        })
+        .option('resume', {
+          description:
+            'Continue an interrupted run from its journal, with its own brief and options (run ID as logged)',
+          type: 'string',
+        })
+        .option('lang', {
+          alias: 'l',
+          description:
+            "Comma-separated locales to generate (e.g., en,es,fr); defaults to the brief's locales, then en",
+          type: 'string',
+        })
+        .option('provider', {
+          alias: 'p',
+          description: 'Image provider to use (mock runs offline without credentials)',
+          type: 'string',
+          choices: listProviders(),
+          defaultDescription: `${config.provider}; --resume uses the run's own`,
+        })
+        .option('overlay', {
+          description:
+            'Render the campaign message and call to action onto generated images (disable with --no-overlay)',
+          type: 'boolean',
+          default: true,
+        })
+        .option('concurrency', {
+          alias: 'c',
+          description: 'Number of assets generated in parallel',
+          type: 'number',
+          default: config.concurrency,
+        })
+        .option('rpm', {
+          description:
+            'Maximum provider requests per minute shared by all workers (0 for unlimited)',
+          type: 'number',
+          default: config.requestsPerMinute,
+        })
+        .option('force', {
+          alias: 'f',
+          description: 'Regenerate every asset, ignoring the asset cache',
+          type: 'boolean',
+          default: false,
+        })
+        .option('variations', {
+          description: `Candidates generated per asset (1-${config.variations.max}); the best-scoring one is kept as the final asset`,
+          type: 'number',
+        })
+        .option('derive', {
+          description:
+            'Generate one master image per product and crop or pad every placement from it locally (disable with --no-derive); overrides the brief',
+          type: 'boolean',
+        })
+        .option('only', {
+          description:
+            'Regenerate only the given assets, ignoring the cache (e.g., productA:stories-reels or productA)',
+          type: 'array',
+          string: true,
+        })
+        .option('show-prompt', {
+          description: 'Print the rendered prompt for each product and exit without generating',
+          type: 'boolean',
+          default: false,
+        })
+        .option('dry-run', {
+          description:
+            'Print the provider requests, skipped assets and estimated credits without authenticating, uploading or generating',
+          type: 'boolean',
+          default: false,
+        })
+        .option('strict-i18n', {
+          description: 'Fail a brief when any locale lacks its copy keys or placeholder values',
+          type: 'boolean',
+          default: config.locales.strict,
+        })
+        .check((args) => {
+          if (args.resume === undefined && !args.brief) {
+            throw new Error('Missing required argument: brief');
+          }
+          if (args.resume !== undefined) {
+            if (!args.resume) {
+              throw new Error('--resume needs a run ID.');
+            }
+            if (args.brief || args.lang || args.only || args.showPrompt || args.dryRun) {
+              throw new Error(
+                "--resume replays the run's own brief and options; drop --brief, --lang, --only, --show-prompt and --dry-run."
+              );
+            }
+          }
+          if (!Number.isInteger(args.concurrency) || args.concurrency < 1) {
+            throw new Error('--concurrency must be a positive integer.');
+          }
+          if (!Number.isFinite(args.rpm) || args.rpm < 0) {
+            throw new Error('--rpm must be zero or a positive number.');
+          }
+          if (
+            args.variations !== undefined &&
+            (!Number.isInteger(args.variations) ||
+              args.variations < 1 ||
+              args.variations > config.variations.max)
+          ) {
+            throw new Error(
+              `--variations must be an integer between 1 and ${config.variations.max}.`
+            );
+          }
+          return true;
+        }),
+    (argv) => {
+      if (argv.showPrompt) {
+        return showPrompts(argv);
+      }
+      return argv.dryRun ? dryRunCommand(argv) : main(argv);
+    }
+  )
+  .command(
+    'serve',
+    'Run an HTTP API that accepts briefs as background jobs and serves their assets',
+    (command) =>
+      command
+        .option('host', {
+          description: 'Interface to listen on',
+          type: 'string',
+          default: config.server.host,
+        })
+        .option('port', {
+          description: 'Port to listen on',
+          type: 'number',
+          default: config.server.port,
+        })
+        .option('provider', {
+          alias: 'p',
+          description: 'Image provider to use (mock runs offline without credentials)',
+          type: 'string',
+          choices: listProviders(),
+          default: config.provider,
+        })
+        .option('overlay', {
+          description:
+            'Render the campaign message and call to action onto generated images (disable with --no-overlay)',
+          type: 'boolean',
+          default: true,
+        })
+        .option('concurrency', {
+          alias: 'c',
+          description: 'Number of assets of a job generated in parallel',
+          type: 'number',
+          default: config.concurrency,
+        })
+        .option('rpm', {
+          description:
+            'Maximum provider requests per minute shared by all workers (0 for unlimited)',
+          type: 'number',
+          default: config.requestsPerMinute,
+        })
+        .option('strict-i18n', {
+          description: 'Fail a job when any locale lacks its copy keys or placeholder values',
+          type: 'boolean',
+          default: config.locales.strict,
+        })
+        .check((args) => {
+          if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) {
+            throw new Error('--port must be an integer between 0 and 65535.');
+          }
+          if (!Number.isInteger(args.concurrency) || args.concurrency < 1) {
+            throw new Error('--concurrency must be a positive integer.');
+          }
+          if (!Number.isFinite(args.rpm) || args.rpm < 0) {
+            throw new Error('--rpm must be zero or a positive number.');
+          }
+          return true;
+        }),
+    serveCommand
+  )
+  .command(
+    'retry-failed <run-id>',
+    'Rerun only the failed items of an earlier run, with its brief and options',
+    (command) =>
+      command
+        .positional('run-id', {
+          description: 'ID of the earlier run, as logged and recorded in its manifest',
+          type: 'string',
+        })
+        .option('provider', {
+          alias: 'p',
+          description: 'Image provider to use (mock runs offline without credentials)',
+          type: 'string',
+          choices: listProviders(),
+          defaultDescription: "the run's own",
+        })
+        .option('concurrency', {
+          alias: 'c',
+          description: 'Number of assets generated in parallel',
+          type: 'number',
+          default: config.concurrency,
+        })
+        .option('rpm', {
+          description:
+            'Maximum provider requests per minute shared by all workers (0 for unlimited)',
+          type: 'number',
+          default: config.requestsPerMinute,
+        })
+        .check((args) => {
+          if (!Number.isInteger(args.concurrency) || args.concurrency < 1) {
+            throw new Error('--concurrency must be a positive integer.');
+          }
+          if (!Number.isFinite(args.rpm) || args.rpm < 0) {
+            throw new Error('--rpm must be zero or a positive number.');
+          }
+          return true;
+        }),
+    (argv) => main({ ...argv, retryFailed: argv.runId })
+  )
+  .command(
+    'validate <brief>',
+    'Validate a campaign brief against the schema (no credentials needed)',
+    (command) =>
+      command.positional('brief', {
+        description: 'Path to the campaign brief file',
+        type: 'string',
+      }),
+    validateCommand
+  )
+  .command(
+    'i18n-check <brief>',
+    'Check that every locale translates the brief copy (no credentials needed)',
+    (command) =>
+      command
+        .positional('brief', {
+          description: 'Campaign brief file, directory of briefs or quoted glob',
+          type: 'string',
+        })
+        .option('lang', {
+          alias: 'l',
+          description:
+            "Comma-separated locales to check; defaults to each brief's locales, then en",
+          type: 'string',
+        }),
+    i18nCheckCommand
+  )
+  .command(
+    'select <brief> <product> <placement> <variation>',
+    'Promote a candidate variation to the final asset (no credentials needed)',
+    (command) =>
+      command
+        .positional('brief', {
+          description: 'Path to the campaign brief file',
+          type: 'string',
+        })
+        .positional('product', {
+          description: 'Product name as written in the brief',
+          type: 'string',
+        })
+        .positional('placement', {
+          description:
+            'Placement of the asset (e.g., stories-reels, or 1x1 for briefs using aspectRatios)',
+          type: 'string',
+        })
+        .positional('variation', {
+          description: 'Candidate to promote (e.g., 2 for productA_v2.png)',
+          type: 'number',
+        })
+        .option('lang', {
+          alias: 'l',
+          description:
+            "Comma-separated locales to update; defaults to the brief's locales, then en",
+          type: 'string',
+        })
+        .check((args) => {
+          if (!Number.isInteger(args.variation) || args.variation < 1) {
+            throw new Error('<variation> must be a positive integer.');
+          }
+          return true;
+        }),
+    selectCommand
+  )
+  .help()
+  .alias('help', 'h')
+  .parse();
@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const config = require('./config');
+const { log, error, logError, withLogContext } = require('./utils/logger');
+const { runCampaign } = require('./campaign');
+const { validateBriefFile } = require('./utils/briefSchema');
+const { parseLocaleList, assertLocalesAvailable } = require('./utils/locales');
+const {
+  getCampaignOutputDir,
+  saveSubmittedBrief,
+  getCampaignFilePath,
+} = require('./utils/fileHandler');
+const { createZipArchive } = require('./utils/zipArchive');
+const { createJobQueue } = require('./jobQueue');
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.json': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+/**
+ * An error answered with an HTTP status and JSON body instead of a 500.
+ * @param {number} statusCode - HTTP status.
+ * @param {string} message - Error message for the client.
+ * @param {object} [details] - Extra fields for the response body (e.g., validation problems).
+ * @returns {Error} The error.
+ */
+const httpError = (statusCode, message, details = {}) =>
+  Object.assign(new Error(message), { statusCode, details });
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} statusCode - HTTP status.
+ * @param {object} body - Response body.
+ */
+const sendJson = (res, statusCode, body) => {
+  const data = JSON.stringify(body, null, 2);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(data),
+  });
+  res.end(data);
+};
+
+/**
+ * Reads a request body up to a size limit.
+ * @param {http.IncomingMessage} req - The request.
+ * @param {number} maxBytes - Largest accepted body.
+ * @returns {Promise<string>} The body as UTF-8 text.
+ * @throws {Error} With status 413 if the body is too large.
+ */
+const readBody = (req, maxBytes) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        // Keep draining the upload so the client receives the 413 instead of a reset connection.
+        req.removeAllListeners('data');
+        req.resume();
+        reject(httpError(413, `Request body exceeds ${Math.round(maxBytes / 1024)} KB.`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+
+/**
+ * Picks the file extension for a submitted brief from its Content-Type, or from its first character
+ * when the type names neither JSON nor YAML.
+ * @param {string} [contentType] - The request's Content-Type header.
+ * @param {string} text - The brief.
+ * @returns {string} ".json" or ".yaml".
+ */
+const getBriefExtension = (contentType = '', text) => {
+  if (/yaml/i.test(contentType)) {
+    return '.yaml';
+  }
+  if (/json/i.test(contentType)) {
+    return '.json';
+  }
+  return text.trimStart().startsWith('{') ? '.json' : '.yaml';
+};
+
+/**
+ * Builds a job's run options from the server defaults and the submission's query string
+ * (lang, force, variations and derive, with the same meaning as the CLI flags).
+ * @param {object} defaults - Run options the server was started with.
+ * @param {URLSearchParams} query - The submission's query parameters.
+ * @returns {object} Run options for runCampaign.
+ * @throws {Error} With status 400 if a parameter is invalid.
+ */
+const getJobOptions = (defaults, query) => {
+  const options = { ...defaults };
+  const flag = (name) => {
+    const value = query.get(name);
+    if (value === null) {
+      return undefined;
+    }
+    if (!['true', 'false'].includes(value)) {
+      throw httpError(400, `Query parameter "${name}" must be true or false.`);
+    }
+    return value === 'true';
+  };
+
+  if (query.has('lang')) {
+    try {
+      options.locales = assertLocalesAvailable(parseLocaleList(query.get('lang')) || []);
+    } catch (localeError) {
+      throw httpError(400, localeError.message);
+    }
+  }
+  if (query.has('variations')) {
+    const variations = Number(query.get('variations'));
+    if (!Number.isInteger(variations) || variations < 1 || variations > config.variations.max) {
+      throw httpError(
+        400,
+        `Query parameter "variations" must be an integer between 1 and ${config.variations.max}.`
+      );
+    }
+    options.variations = variations;
+  }
+  options.force = flag('force') ?? options.force;
+  options.deriveFromMaster = flag('derive') ?? options.deriveFromMaster;
+  return options;
+};
+
+/**
+ * Formats an asset record for API responses, with its file as a download link.
+ * @param {object} job - The job the record belongs to.
+ * @param {object} record - The manifest record.
+ * @returns {object} Locale, status, file, url and error.
+ */
+const formatRecord = (job, record) => {
+  const file = record.outputPath
+    ? path
+        .relative(getCampaignOutputDir(job.campaignName), record.outputPath)
+        .split(path.sep)
+        .join('/')
+    : null;
+  return {
+    locale: record.locale,
+    status: record.status,
+    file,
+    url: file ? `/jobs/${job.id}/files/${file}` : null,
+    error: record.error,
+  };
+};
+
+/**
+ * Reads the run ID recorded in a campaign manifest.
+ * @param {string} manifestPath - Path to manifest.json.
+ * @returns {string|null} The run ID, or null when there is no readable manifest.
+ */
+const readManifestRunId = (manifestPath) => {
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8')).runId || null;
+  } catch (readError) {
+    return null;
+  }
+};
+
+/**
+ * Lists the output files of a job: the final image, candidates and compliance report of each of its assets,
+ * plus manifest.json and report.html while the campaign's latest run is the job. Other runs of the campaign
+ * write to the same folder, so nothing else in it belongs to the job.
+ * @param {object} job - The job.
+ * @returns {string[]} Sorted paths relative to the campaign directory, with "/" separators.
+ */
+const listJobFiles = (job) => {
+  const root = getCampaignOutputDir(job.campaignName);
+  const assetFiles = job.assets
+    .flatMap((asset) => asset.records)
+    .flatMap((record) => [
+      record.outputPath,
+      record.compliance && record.compliance.reportPath,
+      ...(record.candidates || []).map((candidate) => candidate.outputPath),
+    ])
+    .filter(Boolean)
+    .map((filePath) => path.resolve(root, filePath));
+  const manifestPath = path.join(root, 'manifest.json');
+  const runFiles =
+    readManifestRunId(manifestPath) === job.id
+      ? [manifestPath, path.join(root, 'report.html')]
+      : [];
+
+  return [...new Set([...assetFiles, ...runFiles])]
+    .filter((filePath) => fs.existsSync(filePath))
+    .map((filePath) => path.relative(root, filePath).split(path.sep).join('/'))
+    .sort();
+};
+
+/**
+ * Formats a job's status with per-asset progress.
+ * @param {object} job - The job.
+ * @returns {object} The response body.
+ */
+const formatJob = (job) => {
+  const count = (status) => job.assets.filter((asset) => asset.status === status).length;
+  const records = job.assets.flatMap((asset) => asset.records);
+  const countRecords = (...statuses) =>
+    records.filter((record) => statuses.includes(record.status)).length;
+  return {
+    id: job.id,
+    status: job.status,
+    campaignName: job.campaignName,
+    submittedAt: job.submittedAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    progress: {
+      total: job.assets.length,
+      pending: count('pending'),
+      running: count('running'),
+      done: count('done'),
+      generated: countRecords('success'),
+      unchanged: countRecords('skipped'),
+      failed: countRecords('failure', 'blocked'),
+    },
+    assets: job.assets.map((asset) => ({
+      product: asset.product,
+      placement: asset.placement,
+      status: asset.status,
+      locales: asset.records.map((record) => formatRecord(job, record)),
+    })),
+    links: { assets: `/jobs/${job.id}/assets`, archive: `/jobs/${job.id}/archive` },
+  };
+};
+
+/**
+ * Creates the HTTP API: submit briefs as background jobs, poll their progress, list their assets and
+ * download single files or the whole campaign as a ZIP archive. Briefs go through the same validation
+ * and campaign pipeline as the CLI.
+ * @param {object} options - Server options.
+ * @param {object} options.provider - The authenticated image provider.
+ * @param {object} options.uploader - Reference uploader shared by all jobs.
+ * @param {object} options.runOptions - Default run options (see runCampaign); submissions may override some.
+ * @returns {http.Server} The server, not yet listening.
+ */
+const createApiServer = ({ provider, uploader, runOptions }) => {
+  const queue = createJobQueue({
+    maxJobs: config.server.maxJobs,
+    runJob: (job, onProgress) =>
+      withLogContext({ campaign: job.campaignName, runId: job.id }, () =>
+        runCampaign(
+          job.brief,
+          { ...job.options, briefPath: job.briefPath, runId: job.id, onProgress },
+          { provider, uploader }
+        )
+      ),
+  });
+
+  const getJob = (id) => {
+    const job = queue.get(id);
+    if (!job) {
+      throw httpError(404, `Unknown job: ${id}`);
+    }
+    return job;
+  };
+
+  const submitBrief = async (req, query) => {
+    const text = await readBody(req, config.server.maxBodyKB * 1024);
+    if (!text.trim()) {
+      throw httpError(400, 'Request body must be a campaign brief (JSON or YAML).');
+    }
+    const options = getJobOptions(runOptions, query);
+    const id = crypto.randomUUID();
+    const briefPath = saveSubmittedBrief(
+      id,
+      text,
+      getBriefExtension(req.headers['content-type'], text)
+    );
+    const { brief, errors } = validateBriefFile(briefPath);
+    if (errors.length > 0) {
+      fs.rmSync(path.dirname(briefPath), { recursive: true, force: true });
+      throw httpError(400, `Campaign brief has ${errors.length} problem(s).`, {
+        problems: errors.map(({ line, column, path: jsonPath, message }) => ({
+          line,
+          column,
+          path: jsonPath,
+          message,
+        })),
+      });
+    }
+    const job = queue.submit({ brief, briefPath, options }, id);
+    log(`Queued job ${job.id} for campaign "${brief.campaignName}".`);
+    return job;
+  };
+
+  const sendFile = (res, job, relativePath) => {
+    let filePath;
+    try {
+      filePath = getCampaignFilePath(job.campaignName, relativePath);
+    } catch (pathError) {
+      throw httpError(400, pathError.message);
+    }
+    if (!listJobFiles(job).includes(relativePath)) {
+      throw httpError(404, `No such file in job ${job.id}: ${relativePath}`);
+    }
+    const data = fs.readFileSync(filePath);
+    res.writeHead(200, {
+      'Content-Type':
+        CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': data.length,
+    });
+    res.end(data);
+  };
+
+  const sendArchive = (res, job) => {
+    const files = listJobFiles(job);
+    if (files.length === 0) {
+      throw httpError(404, `Job ${job.id} has no output files yet.`);
+    }
+    const archive = createZipArchive(
+      files.map((file) => {
+        const filePath = getCampaignFilePath(job.campaignName, file);
+        return {
+          name: file,
+          data: fs.readFileSync(filePath),
+          modifiedAt: fs.statSync(filePath).mtime,
+        };
+      })
+    );
+    const archiveName = `${path.basename(getCampaignOutputDir(job.campaignName))}-${job.id}`;
+    res.writeHead(200, {
+      'Content-Type': 'application/zip',
+      'Content-Length': archive.length,
+      'Content-Disposition': `attachment; filename="${archiveName}.zip"`,
+    });
+    res.end(archive);
+  };
+
+  const routes = [
+    [
+      'GET',
+      /^\/health$/,
+      (req, res) => sendJson(res, 200, { status: 'ok', provider: provider.name }),
+    ],
+    ['GET', /^\/jobs$/, (req, res) => sendJson(res, 200, { jobs: queue.list().map(formatJob) })],
+    [
+      'POST',
+      /^\/jobs$/,
+      async (req, res, match, query) => {
+        const job = await submitBrief(req, query);
+        res.setHeader('Location', `/jobs/${job.id}`);
+        sendJson(res, 202, formatJob(job));
+      },
+    ],
+    [
+      'GET',
+      /^\/jobs\/([^/]+)$/,
+      (req, res, match) => sendJson(res, 200, formatJob(getJob(match[1]))),
+    ],
+    [
+      'GET',
+      /^\/jobs\/([^/]+)\/assets$/,
+      (req, res, match) => {
+        const job = getJob(match[1]);
+        const assets = job.assets.flatMap((asset) =>
+          asset.records
+            .filter((record) => record.outputPath)
+            .map((record) => ({
+              product: asset.product,
+              placement: asset.placement,
+              ...formatRecord(job, record),
+            }))
+        );
+        sendJson(res, 200, { id: job.id, status: job.status, assets, files: listJobFiles(job) });
+      },
+    ],
+    [
+      'GET',
+      /^\/jobs\/([^/]+)\/files\/(.+)$/,
+      (req, res, match) => sendFile(res, getJob(match[1]), match[2]),
+    ],
+    ['GET', /^\/jobs\/([^/]+)\/archive$/, (req, res, match) => sendArchive(res, getJob(match[1]))],
+  ];
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch (decodeError) {
+      sendJson(res, 400, { error: 'Malformed URL.' });
+      return;
+    }
+    const matching = routes.filter(([, pattern]) => pattern.test(pathname));
+    const route = matching.find(([method]) => method === req.method);
+
+    try {
+      if (!route) {
+        throw matching.length > 0
+          ? httpError(405, `Method ${req.method} not allowed for ${pathname}.`)
+          : httpError(404, `Not found: ${pathname}`);
+      }
+      const [, pattern, handler] = route;
+      await handler(req, res, pathname.match(pattern), url.searchParams);
+    } catch (requestError) {
+      if (requestError.statusCode) {
+        sendJson(res, requestError.statusCode, {
+          error: requestError.message,
+          ...requestError.details,
+        });
+        return;
+      }
+      logError(requestError, `${req.method} ${pathname}`);
+      sendJson(res, 500, { error: 'Internal server error.' });
+    }
+  });
+};
+
+/**
+ * Starts the HTTP API and keeps it running until the process is stopped.
+ * @param {object} options - Server options (see createApiServer), plus host and port.
+ * @returns {Promise<http.Server>} The listening server.
+ * @throws {Error} If the port cannot be bound.
+ */
+const startApiServer = ({ host, port, ...options }) =>
+  new Promise((resolve, reject) => {
+    const server = createApiServer(options);
+    server.once('error', (listenError) => {
+      error(`Unable to listen on ${host}:${port}: ${listenError.message}`);
+      reject(listenError);
+    });
+    server.listen(port, host, () => {
+      log(`API server listening on http://${host}:${server.address().port}`);
+      resolve(server);
+    });
+  });
+
+module.exports = { createApiServer, startApiServer };
@@ -3,7 +3,28 @@ const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
 const config = require('../config');
-const { error, log } = require('../utils/logger');
+const { error, log, warn } = require('../utils/logger');
+const { withRetry } = require('./retry');
+
+// Request fields that carry reference upload IDs, as Firefly names them in validation errors.
+const REFERENCE_UPLOAD_FIELDS = [
+  'structure.imageReference.source.uploadId',
+  'styles.imageReference.source.uploadId',
+];
+
+/**
+ * Tells whether a failed generation request was rejected for an unknown or expired reference upload.
+ * Firefly reports those as a validation_error whose invalid_params name the uploadId field; any other
+ * 400 or 404 is a different problem and is not worth uploading the references again for.
+ * @param {number} status - HTTP status of the response.
+ * @param {object} [errorData] - Response body.
+ * @returns {boolean} True if a reference upload ID was rejected.
+ */
+const isReferenceRejection = (status, errorData) =>
+  [400, 404].includes(status) &&
+  errorData?.error_code === 'validation_error' &&
+  Array.isArray(errorData.invalid_params) &&
+  errorData.invalid_params.some((param) => REFERENCE_UPLOAD_FIELDS.includes(param?.name));
 
 /**
  * Validates Adobe API configuration.
@@ -41,26 +62,33 @@ const validateAdobeConfig = () => {
 
 /**
  * Retrieves an access token from Adobe's IMS.
+ * @param {object} [options] - Additional options.
+ * @param {{acquire: Function}} [options.limiter] - Rate limiter taken before every HTTP attempt.
  * @returns {Promise<string>} The access token.
  * @throws {Error} If authentication fails or configuration is invalid.
  */
-const getAccessToken = async () => {
+const getAccessToken = async ({ limiter } = {}) => {
   try {
     validateAdobeConfig();
 
-    const form = new FormData();
-    form.append('client_id', config.adobe.apiKey);
-    form.append('client_secret', config.adobe.apiSecret);
-    form.append('scope', 'openid,AdobeID,firefly_api');
-    form.append('grant_type', 'client_credentials');
+    // The form is a stream, so it is rebuilt for every attempt.
+    const requestToken = () => {
+      const form = new FormData();
+      form.append('client_id', config.adobe.apiKey);
+      form.append('client_secret', config.adobe.apiSecret);
+      form.append('scope', 'openid,AdobeID,firefly_api');
+      form.append('grant_type', 'client_credentials');
+
+      const requestConfig = {
+        headers: form.getHeaders(),
+        timeout: config.firefly.timeouts.tokenMs,
+      };
 
-    const requestConfig = {
-      headers: form.getHeaders(),
-      timeout: 30000,
+      return axios.post(config.firefly.endpoints.token, form, requestConfig);
     };
 
     log('Requesting access token from Adobe IMS...');
-    const response = await axios.post('https://ims-na1.adobelogin.com/ims/token/v3', form, requestConfig);
+    const response = await withRetry(requestToken, { label: 'Adobe IMS token request', limiter });
 
     if (!response.data) {
       throw new Error('No response data received from Adobe IMS.');
@@ -126,10 +154,10 @@ const getAccessToken = async () => {
  * @param {string} prompt - The text prompt for image generation.
  * @param {string} aspectRatio - The desired aspect ratio (e.g., '1:1').
  * @param {string} accessToken - The Adobe API access token.
- * @param {string} [styleImageId] - Optional uploaded image ID for style reference.
+ * @param {object} [references] - Optional structure and style references.
  * @throws {Error} If any parameter is invalid.
  */
-const validateImageParams = (prompt, aspectRatio, accessToken, styleImageId) => {
+const validateImageParams = (prompt, aspectRatio, accessToken, references) => {
   if (!prompt || typeof prompt !== 'string') {
     throw new Error('Prompt must be a non-empty string.');
   }
@@ -154,73 +182,213 @@ const validateImageParams = (prompt, aspectRatio, accessToken, styleImageId) =>
     throw new Error('Access token appears to be invalid (too short).');
   }
 
-  if (styleImageId !== undefined && styleImageId !== null) {
-    if (typeof styleImageId !== 'string' || styleImageId.trim().length === 0) {
-      throw new Error('Style image ID must be a non-empty string if provided.');
+  Object.entries(references || {}).forEach(([role, reference]) => {
+    if (!reference) {
+      return;
     }
+    if (typeof reference.uploadId !== 'string' || reference.uploadId.trim().length === 0) {
+      throw new Error(`The ${role} reference upload ID must be a non-empty string.`);
+    }
+    if (
+      !Number.isInteger(reference.strength) ||
+      reference.strength < 0 ||
+      reference.strength > 100
+    ) {
+      throw new Error(`The ${role} reference strength must be an integer between 0 and 100.`);
+    }
+  });
+};
+
+/**
+ * Downloads a generated image from its pre-signed URL.
+ * @param {string} url - The image URL returned by the Firefly API.
+ * @param {object} [options] - Additional options.
+ * @param {{acquire: Function}} [options.limiter] - Rate limiter taken before every HTTP attempt.
+ * @returns {Promise<Buffer>} The image data.
+ * @throws {Error} If the download fails or returns no data.
+ */
+const downloadImage = async (url, { limiter } = {}) => {
+  const downloadConfig = {
+    responseType: 'arraybuffer',
+    timeout: config.firefly.timeouts.downloadMs,
+  };
+
+  const imageResponse = await withRetry(() => axios.get(url, downloadConfig), {
+    label: 'Generated image download',
+    limiter,
+  });
+
+  if (!imageResponse.data || imageResponse.data.byteLength === 0) {
+    throw new Error('Downloaded image data is empty.');
   }
+
+  const buffer = Buffer.from(imageResponse.data);
+
+  const isPNG =
+    buffer.length >= 8 &&
+    buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  const isJPEG =
+    buffer.length >= 3 && buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]));
+  const isWEBP =
+    buffer.length >= 12 &&
+    buffer.subarray(0, 4).equals(Buffer.from('RIFF', 'ascii')) &&
+    buffer.subarray(8, 12).equals(Buffer.from('WEBP', 'ascii'));
+
+  if (!isPNG && !isJPEG && !isWEBP) {
+    warn('Downloaded data does not appear to be a valid image format.');
+  }
+
+  log(`Image downloaded successfully (${buffer.length} bytes).`);
+  return buffer;
 };
 
 /**
- * Generates an image using the Adobe Firefly Text-to-Image API.
+ * Builds the Firefly Text-to-Image request body.
  * @param {string} prompt - The text prompt for image generation.
  * @param {string} aspectRatio - The desired aspect ratio (e.g., '1:1').
- * @param {string} accessToken - The Adobe API access token.
- * @param {string} [styleImageId] - Optional uploaded image ID for style reference.
- * @returns {Promise<Buffer>} The image data as a Buffer.
- * @throws {Error} If image generation fails or parameters are invalid.
+ * @param {object} [references] - Optional references, each {uploadId, strength} or null.
+ * @param {object} [references.structure] - Image whose composition and outlines the output keeps.
+ * @param {object} [references.style] - Image whose look the output borrows.
+ * @param {object} [options] - Additional options.
+ * @param {string} [options.negativePrompt] - Content the image should avoid.
+ * @param {number} [options.numVariations] - Number of images to generate in one request (1-4).
+ * @returns {object} The request payload.
+ * @throws {Error} If the aspect ratio is unsupported or the variation count is out of range.
  */
-const generateImage = async (prompt, aspectRatio, accessToken, styleImageId = null) => {
-  try {
-    validateImageParams(prompt, aspectRatio, accessToken, styleImageId);
-    const sizeMap = {
-      '1:1': { width: 2048, height: 2048 },
-      '9:7': { width: 2304, height: 1792 },
-      '16:9': { width: 2688, height: 1512 },
-      '4:3': { width: 1152, height: 896 },
-      '3:4': { width: 896, height: 1152 },
-      '3:2': { width: 1216, height: 832 },
-      '2:3': { width: 832, height: 1216 },
-    };
+const buildGenerationPayload = (
+  prompt,
+  aspectRatio,
+  { structure = null, style = null } = {},
+  { negativePrompt, numVariations = 1 } = {}
+) => {
+  const sizeMap = config.sizeMap;
+
+  if (!sizeMap[aspectRatio]) {
+    throw new Error(
+      `Unsupported aspect ratio: ${aspectRatio}. Supported ratios: ${Object.keys(sizeMap).join(', ')}`
+    );
+  }
 
-    if (!sizeMap[aspectRatio]) {
-      throw new Error(`Unsupported aspect ratio: ${aspectRatio}. Supported ratios: ${Object.keys(sizeMap).join(', ')}`);
-    }
+  if (
+    !Number.isInteger(numVariations) ||
+    numVariations < 1 ||
+    numVariations > config.variations.max
+  ) {
+    throw new Error(
+      `Number of variations must be an integer between 1 and ${config.variations.max}.`
+    );
+  }
 
-    const payload = {
-      prompt: prompt.trim(),
-      numVariations: 1,
-      visualIntensity: 4,
-      size: sizeMap[aspectRatio],
-      styles: {
-        presets: ['photo'],
-      },
-      structure: {
-        strength: 100,
-      },
-      contentClass: 'photo',
+  const payload = {
+    prompt: prompt.trim(),
+    numVariations,
+    visualIntensity: config.firefly.visualIntensity,
+    size: sizeMap[aspectRatio],
+    styles: {
+      presets: config.firefly.stylePresets,
+    },
+    structure: {
+      strength: config.firefly.structureStrength,
+    },
+    contentClass: config.firefly.contentClass,
+  };
+
+  if (negativePrompt) {
+    payload.negativePrompt = negativePrompt.trim();
+  }
+
+  if (structure) {
+    payload.structure = {
+      strength: structure.strength,
+      imageReference: { source: { uploadId: structure.uploadId } },
     };
+  }
 
-    if (styleImageId) {
-      payload.structure.imageReference = {
-        source: {
-          uploadId: styleImageId
-        }
-      };
-      log(`Using style reference from uploaded image: ${styleImageId}`);
-    }
+  if (style) {
+    payload.styles.imageReference = { source: { uploadId: style.uploadId } };
+    payload.styles.strength = style.strength;
+  }
+
+  return payload;
+};
+
+/**
+ * Describes the generation request that would be sent, without authenticating or calling the API.
+ * @param {string} prompt - The text prompt for image generation.
+ * @param {string} aspectRatio - The desired aspect ratio (e.g., '1:1').
+ * @param {object} [references] - Structure and style references as for generateImage; upload IDs may be placeholders.
+ * @param {object} [options] - Negative prompt and number of variations, as for generateImage.
+ * @returns {{endpoint: string, payload: object, estimatedCredits: number}} The request and its estimated cost.
+ * @throws {Error} If the aspect ratio is unsupported or the variation count is out of range.
+ */
+const describeGeneration = (prompt, aspectRatio, references = {}, options = {}) => {
+  const payload = buildGenerationPayload(prompt, aspectRatio, references, options);
+  return {
+    endpoint: config.firefly.endpoints.generate,
+    payload,
+    estimatedCredits: payload.numVariations * config.credits.perImage,
+  };
+};
+
+/**
+ * Generates an image using the Adobe Firefly Text-to-Image API.
+ * @param {string} prompt - The text prompt for image generation.
+ * @param {string} aspectRatio - The desired aspect ratio (e.g., '1:1').
+ * @param {string} accessToken - The Adobe API access token.
+ * @param {object} [references] - Optional structure and style references, each {uploadId, strength} or null.
+ * @param {object} [options] - Additional options.
+ * @param {Function} [options.refreshToken] - Async function returning a fresh access token, used after a 401.
+ * @param {{acquire: Function}} [options.limiter] - Rate limiter taken before every HTTP attempt.
+ * @param {string} [options.negativePrompt] - Content the image should avoid.
+ * @param {number} [options.numVariations] - Number of images to generate in one request (1-4).
+ * @returns {Promise<Buffer[]>} The image data of each variation.
+ * @throws {Error} If image generation fails or parameters are invalid.
+ */
+const generateImage = async (
+  prompt,
+  aspectRatio,
+  accessToken,
+  references = {},
+  { refreshToken, limiter, negativePrompt, numVariations = 1 } = {}
+) => {
+  try {
+    validateImageParams(prompt, aspectRatio, accessToken, references);
+    const payload = buildGenerationPayload(prompt, aspectRatio, references, {
+      negativePrompt,
+      numVariations,
+    });
+
+    Object.entries(references || {}).forEach(([role, reference]) => {
+      if (reference) {
+        log(
+          `Using ${role} reference from uploaded image: ${reference.uploadId} (strength ${reference.strength})`
+        );
+      }
+    });
 
-    const requestConfig = {
+    let token = accessToken;
+    const requestConfig = () => ({
       headers: {
         'X-Api-Key': config.adobe.apiKey,
-        Authorization: `Bearer ${accessToken}`,
+        Authorization: `Bearer ${token}`,
         'Content-Type': 'application/json',
       },
-      timeout: 120000,
-    };
+      timeout: config.firefly.timeouts.generateMs,
+    });
 
     log(`Generating image with aspect ratio ${aspectRatio}...`);
-    const response = await axios.post('https://firefly-api.adobe.io/v3/images/generate', payload, requestConfig);
+    const response = await withRetry(
+      () => axios.post(config.firefly.endpoints.generate, payload, requestConfig()),
+      {
+        label: `Firefly image generation (${aspectRatio})`,
+        limiter,
+        onUnauthorized:
+          refreshToken &&
+          (async () => {
+            token = await refreshToken();
+          }),
+      }
+    );
 
     if (!response.data) {
       throw new Error('No response data received from Firefly API.');
@@ -230,36 +398,18 @@ const generateImage = async (prompt, aspectRatio, accessToken, styleImageId = nu
       throw new Error('No image outputs received from Firefly API.');
     }
 
-    const imageOutput = response.data.outputs[0];
-    if (!imageOutput.image || !imageOutput.image.url) {
+    const imageOutputs = response.data.outputs.slice(0, numVariations);
+    if (imageOutputs.some((imageOutput) => !imageOutput.image || !imageOutput.image.url)) {
       throw new Error('Invalid image output format from Firefly API.');
     }
 
-    log('Image generated successfully, downloading...');
+    log(`${imageOutputs.length} image(s) generated successfully, downloading...`);
 
-    const downloadConfig = {
-      responseType: 'arraybuffer',
-      timeout: 60000,
-    };
-
-    const imageResponse = await axios.get(imageOutput.image.url, downloadConfig);
-
-    if (!imageResponse.data || imageResponse.data.byteLength === 0) {
-      throw new Error('Downloaded image data is empty.');
+    const buffers = [];
+    for (const imageOutput of imageOutputs) {
+      buffers.push(await downloadImage(imageOutput.image.url, { limiter }));
     }
-
-    const buffer = Buffer.from(imageResponse.data);
-    
-    const isPNG = buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]));
-    const isJPEG = buffer.length >= 3 && buffer.subarray(0, 3).equals(Buffer.from([0xFF, 0xD8, 0xFF]));
-    const isWEBP = buffer.length >= 12 && buffer.subarray(0, 4).equals(Buffer.from('RIFF', 'ascii')) && buffer.subarray(8, 12).equals(Buffer.from('WEBP', 'ascii'));
-
-    if (!isPNG && !isJPEG && !isWEBP) {
-      error('Warning: Downloaded data does not appear to be a valid image format.');
-    }
-
-    log(`Image downloaded successfully (${buffer.length} bytes).`);
-    return buffer;
+    return buffers;
 
   } catch (err) {
     if (err.code === 'ENOTFOUND' || err.code === 'ECONNREFUSED') {
@@ -276,6 +426,18 @@ const generateImage = async (prompt, aspectRatio, accessToken, styleImageId = nu
       const status = err.response.status;
       const errorData = err.response.data;
 
+      // Uploads expire, so a reference that Firefly cannot find is worth uploading again.
+      const usesReferences = Object.values(references || {}).some(Boolean);
+      if (usesReferences && isReferenceRejection(status, errorData)) {
+        error(`Reference rejected (${status}): ${errorData.message}`);
+        throw Object.assign(
+          new Error('Firefly rejected an uploaded reference image; the upload may have expired.'),
+          {
+            referenceRejected: true,
+          }
+        );
+      }
+
       if (status === 400) {
         error(`Bad Request (400): ${errorData?.message || 'Invalid request parameters'}`);
         throw new Error('Invalid image generation parameters. Please check your prompt and aspect ratio.');
@@ -314,10 +476,13 @@ const generateImage = async (prompt, aspectRatio, accessToken, styleImageId = nu
  * Uploads an image to Adobe Firefly API and returns the image ID.
  * @param {string} filePath - Path to the image file to upload.
  * @param {string} accessToken - The Adobe API access token.
+ * @param {object} [options] - Additional options.
+ * @param {Function} [options.refreshToken] - Async function returning a fresh access token, used after a 401.
+ * @param {{acquire: Function}} [options.limiter] - Rate limiter taken before every HTTP attempt.
  * @returns {Promise<string>} The image ID that can be used in subsequent API calls.
  * @throws {Error} If upload fails or parameters are invalid.
  */
-const uploadImage = async (filePath, accessToken) => {
+const uploadImage = async (filePath, accessToken, { refreshToken, limiter } = {}) => {
   try {
     if (!filePath || typeof filePath !== 'string') {
       throw new Error('File path must be a non-empty string.');
@@ -361,25 +526,33 @@ const uploadImage = async (filePath, accessToken) => {
         throw new Error(`Unsupported image format: ${ext}. Supported formats: .jpg, .jpeg, .png, .webp`);
     }
 
-    const stream = fs.createReadStream(filePath);
-
-    const requestConfig = {
+    // A fresh read stream is opened for every attempt, since a consumed stream cannot be resent.
+    let token = accessToken;
+    const requestConfig = () => ({
       method: 'post',
-      url: 'https://firefly-api.adobe.io/v2/storage/image',
+      url: config.firefly.endpoints.upload,
       headers: {
-        'Authorization': `Bearer ${accessToken}`,
+        Authorization: `Bearer ${token}`,
         'X-API-Key': config.adobe.apiKey,
         'Content-Type': contentType,
         'Content-Length': fileSizeInBytes,
       },
-      data: stream,
+      data: fs.createReadStream(filePath),
       maxContentLength: Infinity,
       maxBodyLength: Infinity,
-      timeout: 60000,
-    };
+      timeout: config.firefly.timeouts.uploadMs,
+    });
 
     log(`Uploading image: ${path.basename(filePath)} (${fileSizeInBytes} bytes)...`);
-    const response = await axios(requestConfig);
+    const response = await withRetry(() => axios(requestConfig()), {
+      label: `Image upload (${path.basename(filePath)})`,
+      limiter,
+      onUnauthorized:
+        refreshToken &&
+        (async () => {
+          token = await refreshToken();
+        }),
+    });
 
     if (!response.data) {
       throw new Error('No response data received from upload API.');
@@ -451,4 +624,58 @@ const uploadImage = async (filePath, accessToken) => {
   }
 };
 
-module.exports = { getAccessToken, generateImage, uploadImage };
+/**
+ * Creates an image provider backed by the Adobe Firefly API.
+ * The provider keeps the IMS access token obtained by authenticate() for later calls and
+ * transparently refreshes it when the API rejects it mid-run.
+ * @param {object} [options] - Provider options.
+ * @param {{acquire: Function}} [options.limiter] - Rate limiter taken before every HTTP attempt: token requests
+ *   and refreshes, uploads, generations, retries and image downloads.
+ * @returns {object} Provider implementing authenticate, uploadImage, generateImage and describeGeneration.
+ */
+const createFireflyProvider = ({ limiter } = {}) => {
+  let accessToken = null;
+  let pendingRefresh = null;
+
+  // Concurrent requests that hit a 401 share a single token refresh.
+  const refreshToken = () => {
+    if (!pendingRefresh) {
+      log('Refreshing Adobe access token...');
+      pendingRefresh = getAccessToken({ limiter })
+        .then((token) => {
+          accessToken = token;
+          return token;
+        })
+        .finally(() => {
+          pendingRefresh = null;
+        });
+    }
+    return pendingRefresh;
+  };
+
+  return {
+    name: 'firefly',
+    requiresCredentials: true,
+    authenticate: async () => {
+      accessToken = await getAccessToken({ limiter });
+    },
+    uploadImage: (filePath) => uploadImage(filePath, accessToken, { refreshToken, limiter }),
+    generateImage: (prompt, aspectRatio, references = {}, { negativePrompt, numVariations } = {}) =>
+      generateImage(prompt, aspectRatio, accessToken, references, {
+        refreshToken,
+        limiter,
+        negativePrompt,
+        numVariations,
+      }),
+    describeGeneration,
+  };
+};
+
+module.exports = {
+  getAccessToken,
+  generateImage,
+  describeGeneration,
+  uploadImage,
+  isReferenceRejection,
+  createFireflyProvider,
+};
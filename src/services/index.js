@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { createFireflyProvider } = require('./firefly');
+const { createMockProvider } = require('./mock');
+const { withLogContext } = require('../utils/logger');
+
+const providers = {
+  firefly: createFireflyProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * Lists the names of the registered image providers.
+ * @returns {string[]} Provider names.
+ */
+const listProviders = () => Object.keys(providers);
+
+/**
+ * Wraps a provider so each upload and generation request gets its own requestId, carried by every line
+ * logged while the request runs (including retries and downloads).
+ * @param {object} provider - The provider to wrap.
+ * @returns {object} The provider with the same interface.
+ */
+const withRequestIds = (provider) => ({
+  ...provider,
+  uploadImage: (...args) =>
+    withLogContext({ requestId: crypto.randomUUID() }, () => provider.uploadImage(...args)),
+  generateImage: (...args) =>
+    withLogContext({ requestId: crypto.randomUUID() }, () => provider.generateImage(...args)),
+});
+
+/**
+ * Creates an image provider by name.
+ * Every provider exposes authenticate(), uploadImage(filePath) and
+ * generateImage(prompt, aspectRatio, references, { negativePrompt, numVariations }), which resolves
+ * to an array with one image Buffer per variation; references holds an optional structure and style
+ * reference, each { uploadId, strength }. describeGeneration() takes the same arguments and returns
+ * the request that would be sent ({ endpoint, payload, estimatedCredits }) without authenticating.
+ * @param {string} name - The provider name (e.g., 'firefly', 'mock').
+ * @param {object} [options] - Provider options.
+ * @param {{acquire: Function}} [options.limiter] - Rate limiter the provider takes before every request it
+ *   sends, retries and downloads included (see createRateLimiter).
+ * @returns {object} The provider instance, tagging each request's log lines with a requestId.
+ * @throws {Error} If the provider is unknown.
+ */
+const createProvider = (name, { limiter } = {}) => {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown image provider: ${name}. Available providers: ${listProviders().join(', ')}`
+    );
+  }
+  return withRequestIds(factory({ limiter }));
+};
+
+module.exports = { createProvider, listProviders };
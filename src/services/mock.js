@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Jimp = require('jimp');
+const config = require('../config');
+const { log } = require('../utils/logger');
+
+/**
+ * Derives a stable hex digest from the given parts.
+ * @param {...(string|Buffer)} parts - Values to hash.
+ * @returns {string} The SHA-256 hex digest.
+ */
+const digest = (...parts) => {
+  const hash = crypto.createHash('sha256');
+  parts.forEach((part) => hash.update(Buffer.isBuffer(part) ? part : String(part ?? '')));
+  return hash.digest('hex');
+};
+
+/**
+ * Turns the references into one seed part. Without references it is null, so text-only renders keep their seed.
+ * @param {object} references - Structure and style references, each {uploadId, strength} or null.
+ * @returns {string|null} The seed part.
+ */
+const getReferenceSeed = ({ structure = null, style = null } = {}) =>
+  structure || style
+    ? [structure, style]
+        .map((reference) => (reference ? `${reference.uploadId}@${reference.strength}` : ''))
+        .join('|')
+    : null;
+
+/**
+ * Renders a deterministic placeholder PNG for the given prompt and aspect ratio.
+ * The same inputs always produce byte-identical output, so runs are reproducible.
+ * @param {string} prompt - The text prompt for image generation.
+ * @param {string} aspectRatio - The desired aspect ratio (e.g., '1:1').
+ * @param {object} [references] - Optional structure and style references, each {uploadId, strength} or null;
+ *   they change the seed.
+ * @param {object} [options] - Additional options.
+ * @param {string} [options.negativePrompt] - Content the image should avoid; changes the seed.
+ * @param {number} [options.numVariations] - Number of distinct images to render.
+ * @returns {Promise<Buffer[]>} The PNG image data of each variation.
+ * @throws {Error} If parameters are invalid or the aspect ratio is unsupported.
+ */
+const generateImage = async (
+  prompt,
+  aspectRatio,
+  references = {},
+  { negativePrompt, numVariations = 1 } = {}
+) => {
+  if (!prompt || typeof prompt !== 'string') {
+    throw new Error('Prompt must be a non-empty string.');
+  }
+
+  const size = config.sizeMap[aspectRatio];
+  if (!size) {
+    throw new Error(
+      `Unsupported aspect ratio: ${aspectRatio}. Supported ratios: ${Object.keys(config.sizeMap).join(', ')}`
+    );
+  }
+
+  if (
+    !Number.isInteger(numVariations) ||
+    numVariations < 1 ||
+    numVariations > config.variations.max
+  ) {
+    throw new Error(
+      `Number of variations must be an integer between 1 and ${config.variations.max}.`
+    );
+  }
+
+  const referenceSeed = getReferenceSeed(references);
+  const images = [];
+  for (let variation = 0; variation < numVariations; variation++) {
+    // The first variation keeps the original seed so single-image runs are unchanged.
+    const seedParts = [
+      prompt.trim(),
+      aspectRatio,
+      referenceSeed,
+      negativePrompt,
+      ...(variation ? [variation] : []),
+    ];
+    images.push(await renderGradient(Buffer.from(digest(...seedParts), 'hex'), size, aspectRatio));
+  }
+  return images;
+};
+
+/**
+ * Describes the render the mock provider would perform. Mock renders are free.
+ * @param {string} prompt - The text prompt.
+ * @param {string} aspectRatio - The desired aspect ratio (e.g., '1:1').
+ * @param {object} [references] - Structure and style references as for generateImage; upload IDs may be placeholders.
+ * @param {object} [options] - Negative prompt and number of variations, as for generateImage.
+ * @returns {{endpoint: null, payload: object, estimatedCredits: number}} The request and its cost (always 0).
+ * @throws {Error} If the aspect ratio is unsupported.
+ */
+const describeGeneration = (
+  prompt,
+  aspectRatio,
+  references = {},
+  { negativePrompt, numVariations = 1 } = {}
+) => {
+  const size = config.sizeMap[aspectRatio];
+  if (!size) {
+    throw new Error(
+      `Unsupported aspect ratio: ${aspectRatio}. Supported ratios: ${Object.keys(config.sizeMap).join(', ')}`
+    );
+  }
+  return {
+    endpoint: null,
+    payload: {
+      prompt: prompt.trim(),
+      size,
+      structure: references.structure || null,
+      style: references.style || null,
+      negativePrompt: negativePrompt || null,
+      numVariations,
+    },
+    estimatedCredits: 0,
+  };
+};
+
+/**
+ * Renders a diagonal gradient whose colors come from the seed.
+ * @param {Buffer} seed - At least six bytes of seed data.
+ * @param {{width: number, height: number}} size - Output dimensions.
+ * @param {string} aspectRatio - Aspect ratio, for logging.
+ * @returns {Promise<Buffer>} The PNG image data.
+ */
+const renderGradient = async (seed, { width, height }, aspectRatio) => {
+  const from = [seed[0], seed[1], seed[2]];
+  const to = [seed[3], seed[4], seed[5]];
+
+  log(`Rendering mock image with aspect ratio ${aspectRatio} (${width}x${height})...`);
+  const image = new Jimp(width, height);
+  const span = width + height;
+  image.scan(0, 0, width, height, function (x, y, idx) {
+    const t = (x + y) / span;
+    this.bitmap.data[idx] = Math.round(from[0] + (to[0] - from[0]) * t);
+    this.bitmap.data[idx + 1] = Math.round(from[1] + (to[1] - from[1]) * t);
+    this.bitmap.data[idx + 2] = Math.round(from[2] + (to[2] - from[2]) * t);
+    this.bitmap.data[idx + 3] = 255;
+  });
+
+  return image.getBufferAsync(Jimp.MIME_PNG);
+};
+
+/**
+ * Simulates an image upload by deriving an ID from the file contents.
+ * @param {string} filePath - Path to the image file to upload.
+ * @returns {Promise<string>} A deterministic mock upload ID.
+ * @throws {Error} If the file is missing or unreadable.
+ */
+const uploadImage = async (filePath) => {
+  if (!filePath || typeof filePath !== 'string') {
+    throw new Error('File path must be a non-empty string.');
+  }
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Image file not found at: ${filePath}`);
+  }
+
+  const id = `mock-${digest(fs.readFileSync(filePath)).substring(0, 32)}`;
+  log(`Mock upload of ${path.basename(filePath)} completed. ID: ${id}`);
+  return id;
+};
+
+/**
+ * Creates an offline image provider that needs no credentials or network access.
+ * @param {object} [options] - Provider options.
+ * @param {{acquire: Function}} [options.limiter] - Rate limiter taken before every upload and render, as if
+ *   each were one request.
+ * @returns {object} Provider implementing authenticate, uploadImage, generateImage and describeGeneration.
+ */
+const createMockProvider = ({ limiter } = {}) => {
+  const limited =
+    (operation) =>
+    async (...args) => {
+      if (limiter) {
+        await limiter.acquire();
+      }
+      return operation(...args);
+    };
+
+  return {
+    name: 'mock',
+    requiresCredentials: false,
+    authenticate: async () => {
+      log('Mock provider selected, skipping authentication.');
+    },
+    uploadImage: limited(uploadImage),
+    generateImage: limited(generateImage),
+    describeGeneration,
+  };
+};
+
+module.exports = { createMockProvider };
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { hashFile } = require('../utils/assetCache');
+const { log, warn } = require('../utils/logger');
+
+const UPLOAD_CACHE_FILE = '.upload-cache.json';
+const UPLOAD_CACHE_VERSION = 1;
+
+/**
+ * Resolves the upload cache file, shared by every campaign in the output root.
+ * @returns {string} Absolute path of the cache file.
+ */
+const getUploadCachePath = () => path.join(path.resolve(config.paths.outputs), UPLOAD_CACHE_FILE);
+
+/**
+ * Reads the cached uploads. A missing, unreadable or outdated cache counts as empty.
+ * @returns {object} Entries keyed by "<provider>:<content hash>", each with uploadId, uploadedAt and file.
+ */
+const readUploadCache = () => {
+  const cachePath = getUploadCachePath();
+  if (!fs.existsSync(cachePath)) {
+    return {};
+  }
+  try {
+    const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    return cache.version === UPLOAD_CACHE_VERSION && cache.uploads ? cache.uploads : {};
+  } catch (readError) {
+    warn(`Ignoring unreadable upload cache ${cachePath}: ${readError.message}`);
+    return {};
+  }
+};
+
+/**
+ * Writes the cached uploads atomically, so concurrent runs never read a truncated file.
+ * @param {object} uploads - Entries keyed by "<provider>:<content hash>".
+ */
+const writeUploadCache = (uploads) => {
+  const cachePath = getUploadCachePath();
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  const tempPath = `${cachePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ version: UPLOAD_CACHE_VERSION, uploads }, null, 2));
+  fs.renameSync(tempPath, cachePath);
+};
+
+/**
+ * Creates an uploader that sends each distinct reference image to the provider only once.
+ * Uploads are keyed by file contents, so products and briefs sharing an image share one upload.
+ * Concurrent requests for the same image wait on the same upload; failed uploads are not remembered.
+ * Upload IDs are also kept on disk with their upload time and reused by later runs until
+ * config.uploadCache.maxAgeHours old.
+ * @param {object} provider - The authenticated image provider.
+ * @returns {object} Uploader with upload(filePath) and reupload(filePath, rejectedId).
+ */
+const createReferenceUploader = (provider) => {
+  const uploads = new Map();
+  const maxAgeMs = config.uploadCache.maxAgeHours * 60 * 60 * 1000;
+  const getCacheKey = (referenceHash) => `${provider.name}:${referenceHash}`;
+  const isFresh = (entry) => Boolean(entry) && Date.now() - Date.parse(entry.uploadedAt) < maxAgeMs;
+
+  // Re-reads the file on every change so uploads made by other runs meanwhile are kept; expired ones are dropped.
+  const remember = (referenceHash, uploadId, filePath) => {
+    if (maxAgeMs <= 0) {
+      return;
+    }
+    try {
+      const cached = Object.fromEntries(
+        Object.entries(readUploadCache()).filter(([, entry]) => isFresh(entry))
+      );
+      cached[getCacheKey(referenceHash)] = {
+        uploadId,
+        uploadedAt: new Date().toISOString(),
+        file: path.basename(filePath),
+      };
+      writeUploadCache(cached);
+    } catch (writeError) {
+      warn(`Unable to save the upload cache: ${writeError.message}`);
+    }
+  };
+
+  const startUpload = (filePath, referenceHash) => {
+    const pending = provider
+      .uploadImage(filePath)
+      .then((uploadId) => {
+        remember(referenceHash, uploadId, filePath);
+        return uploadId;
+      })
+      .catch((uploadError) => {
+        uploads.delete(referenceHash);
+        throw uploadError;
+      });
+    uploads.set(referenceHash, pending);
+  };
+
+  return {
+    /**
+     * Uploads a reference image unless identical contents were already uploaded, by this run or by an
+     * earlier one recently enough.
+     * @param {string} filePath - Path to the reference image.
+     * @returns {Promise<{uploadedAssetId: string, referenceHash: string}>} Upload ID and content hash.
+     * @throws {Error} If the file cannot be read or the upload fails.
+     */
+    upload: async (filePath) => {
+      const referenceHash = hashFile(filePath);
+
+      if (!uploads.has(referenceHash)) {
+        const cached = maxAgeMs > 0 ? readUploadCache()[getCacheKey(referenceHash)] : null;
+        if (isFresh(cached)) {
+          log(
+            `Reusing upload of ${path.basename(filePath)} from ${cached.uploadedAt}: ${cached.uploadId}`
+          );
+          uploads.set(referenceHash, Promise.resolve(cached.uploadId));
+        } else {
+          startUpload(filePath, referenceHash);
+        }
+      }
+
+      return { uploadedAssetId: await uploads.get(referenceHash), referenceHash };
+    },
+
+    /**
+     * Uploads a reference image again after the provider rejected its upload ID, e.g., because it expired.
+     * Assets that hit the same rejected ID concurrently share one new upload.
+     * @param {string} filePath - Path to the reference image.
+     * @param {string} rejectedId - The upload ID the provider rejected.
+     * @returns {Promise<{uploadedAssetId: string, referenceHash: string}>} New upload ID and content hash.
+     * @throws {Error} If the file cannot be read or the upload fails.
+     */
+    reupload: async (filePath, rejectedId) => {
+      const referenceHash = hashFile(filePath);
+      const pending = uploads.get(referenceHash);
+      const current = pending ? await pending.catch(() => null) : null;
+
+      // Another asset may have replaced the rejected upload while this one waited.
+      if (uploads.get(referenceHash) === pending && (!current || current === rejectedId)) {
+        log(`Uploading ${path.basename(filePath)} again; upload ${rejectedId} was rejected.`);
+        startUpload(filePath, referenceHash);
+      }
+
+      return { uploadedAssetId: await uploads.get(referenceHash), referenceHash };
+    },
+  };
+};
+
+module.exports = { createReferenceUploader };
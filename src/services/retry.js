@@ -0,0 +1,108 @@
+const config = require('../config');
+const { warn } = require('../utils/logger');
+const { sleep } = require('../utils/concurrency');
+
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Determines whether a failed request is worth retrying.
+ * @param {Error} err - The error thrown by axios.
+ * @returns {boolean} True for rate limiting, server errors and transient network failures.
+ */
+const isRetryable = (err) => {
+  const status = err.response?.status;
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_CODES.includes(err.code);
+};
+
+/**
+ * Parses a Retry-After header given either in seconds or as an HTTP date.
+ * @param {object} [headers] - Response headers.
+ * @returns {number|null} Delay in milliseconds, or null if absent or unparsable.
+ */
+const parseRetryAfter = (headers) => {
+  const value = headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Computes the delay before the next attempt using exponential backoff with full jitter.
+ * A Retry-After header on the response takes precedence, capped at maxRetryAfterMs.
+ * @param {number} attempt - Zero-based index of the attempt that just failed.
+ * @param {Error} err - The error thrown by axios.
+ * @returns {number} Delay in milliseconds.
+ */
+const getRetryDelay = (attempt, err) => {
+  const { baseDelayMs, maxDelayMs, maxRetryAfterMs } = config.retry;
+  const retryAfter = parseRetryAfter(err.response?.headers);
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, maxRetryAfterMs);
+  }
+
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Runs an HTTP operation, retrying transient failures with backoff.
+ * On a 401 the optional onUnauthorized hook is called once (e.g., to refresh a token)
+ * and the operation is retried without consuming a retry attempt.
+ * Every attempt, including retries, first waits for the optional rate limiter.
+ * @param {Function} operation - Async function performing the request; called once per attempt.
+ * @param {object} [options] - Retry options.
+ * @param {string} [options.label] - Description of the request for log messages.
+ * @param {number} [options.retries] - Maximum number of retries (defaults to config.retry.retries).
+ * @param {Function} [options.onUnauthorized] - Async hook invoked after a 401 response.
+ * @param {{acquire: Function}} [options.limiter] - Rate limiter shared by every request to the provider.
+ * @returns {Promise<*>} The operation's result.
+ * @throws {Error} The last error once retries are exhausted or the failure is not retryable.
+ */
+const withRetry = async (
+  operation,
+  { label = 'Request', retries = config.retry.retries, onUnauthorized, limiter } = {}
+) => {
+  let attempt = 0;
+  let refreshed = false;
+
+  for (;;) {
+    try {
+      if (limiter) {
+        await limiter.acquire();
+      }
+      return await operation();
+    } catch (err) {
+      if (err.response?.status === 401 && onUnauthorized && !refreshed) {
+        refreshed = true;
+        warn(`${label} was rejected as unauthorized (401). Refreshing credentials and retrying...`);
+        await onUnauthorized();
+        continue;
+      }
+
+      if (!isRetryable(err) || attempt >= retries) {
+        throw err;
+      }
+
+      const delay = getRetryDelay(attempt, err);
+      const reason = err.response ? `status ${err.response.status}` : err.code;
+      attempt++;
+      warn(
+        `${label} failed (${reason}). Retrying in ${delay}ms (attempt ${attempt} of ${retries})...`
+      );
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = { withRetry, getRetryDelay };
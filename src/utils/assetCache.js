@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getCampaignOutputDir } = require('./fileHandler');
+const { error } = require('./logger');
+
+const CACHE_FILE = '.asset-cache.json';
+const CACHE_VERSION = 4;
+
+/**
+ * Computes the SHA-256 digest of a file's contents.
+ * @param {string} filePath - Path to the file.
+ * @returns {string} The hex digest.
+ * @throws {Error} If the file cannot be read.
+ */
+const hashFile = (filePath) =>
+  crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal settings always hash the same.
+ * @param {*} value - The value to serialize.
+ * @returns {string} Canonical JSON.
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Computes the cache key for one asset from everything that influences its pixels.
+ * @param {object} inputs - Generation inputs.
+ * @param {string} inputs.prompt - The effective prompt.
+ * @param {string|null} [inputs.negativePrompt] - The negative prompt, if any.
+ * @param {string} inputs.aspectRatio - Aspect ratio the image is generated at (e.g., "1:1").
+ * @param {object} inputs.references - Content hash and strength of the structure and style references, if any.
+ * @param {object} inputs.settings - Provider, size, placement, overlay and brand settings.
+ * @returns {string} The hex cache key.
+ */
+const computeCacheKey = ({ prompt, negativePrompt = null, aspectRatio, references, settings }) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      canonicalJson({
+        version: CACHE_VERSION,
+        prompt,
+        negativePrompt,
+        aspectRatio,
+        references,
+        settings,
+      })
+    )
+    .digest('hex');
+
+/**
+ * Opens the per-campaign asset cache stored in the campaign output folder.
+ * The cache maps "locale/product/placement" to the key, output path and candidate selection of the last
+ * successful generation.
+ * @param {string} campaignName - Name of the campaign.
+ * @returns {object} Cache with lookup(), store(), recordSelection() and filePath.
+ */
+const openAssetCache = (campaignName) => {
+  const filePath = path.join(getCampaignOutputDir(campaignName), CACHE_FILE);
+  let entries = {};
+
+  if (fs.existsSync(filePath)) {
+    try {
+      const contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      entries = contents.version === CACHE_VERSION ? contents.entries || {} : {};
+    } catch (readError) {
+      error(`Ignoring unreadable asset cache at ${filePath}: ${readError.message}`);
+    }
+  }
+
+  const entryKey = (productName, placementName, locale) =>
+    `${locale}/${productName}/${placementName}`;
+
+  // Written to a temporary file and renamed, so a crash mid-write never leaves a truncated cache behind.
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ version: CACHE_VERSION, entries }, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    filePath,
+
+    /**
+     * Returns the cached entry if the asset was generated with the same key and still exists.
+     * @param {string} productName - Name of the product.
+     * @param {string} placementName - Name of the placement.
+     * @param {string} cacheKey - Key computed for the current inputs.
+     * @param {string} locale - Locale of the asset's copy.
+     * @returns {object|null} The entry with outputPath and any candidate details, or null on a cache miss.
+     */
+    lookup: (productName, placementName, cacheKey, locale) => {
+      const entry = entries[entryKey(productName, placementName, locale)];
+      if (!entry || entry.key !== cacheKey || !fs.existsSync(entry.outputPath)) {
+        return null;
+      }
+      return { ...entry };
+    },
+
+    /**
+     * Records a successful generation and persists the cache immediately.
+     * @param {string} productName - Name of the product.
+     * @param {string} placementName - Name of the placement.
+     * @param {string} cacheKey - Key computed for the generation inputs.
+     * @param {string} outputPath - Path of the saved asset.
+     * @param {string} locale - Locale of the asset's copy.
+     * @param {object} [details] - Candidate and source details (candidates, selectedVariation, selection, source,
+     *   derivation) to keep with the entry.
+     */
+    store: (productName, placementName, cacheKey, outputPath, locale, details = {}) => {
+      entries[entryKey(productName, placementName, locale)] = {
+        key: cacheKey,
+        outputPath,
+        generatedAt: new Date().toISOString(),
+        ...details,
+      };
+      save();
+    },
+
+    /**
+     * Records a manually selected candidate so later cached runs report it.
+     * @param {string} productName - Name of the product.
+     * @param {string} placementName - Name of the placement.
+     * @param {string} locale - Locale of the asset's copy.
+     * @param {number} variation - The selected variation number.
+     * @param {string} outputPath - Path of the final asset, which may change format with the candidate.
+     * @returns {boolean} Whether a cache entry existed and was updated.
+     */
+    recordSelection: (productName, placementName, locale, variation, outputPath) => {
+      const entry = entries[entryKey(productName, placementName, locale)];
+      if (!entry) {
+        return false;
+      }
+      entry.outputPath = outputPath;
+      entry.selectedVariation = variation;
+      entry.selection = 'manual';
+      const candidate = (entry.candidates || []).find((item) => item.variation === variation);
+      if (candidate && candidate.derivation) {
+        entry.derivation = candidate.derivation;
+      }
+      save();
+      return true;
+    },
+  };
+};
+
+module.exports = { hashFile, computeCacheKey, openAssetCache };
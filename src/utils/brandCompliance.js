@@ -0,0 +1,167 @@
+const Jimp = require('jimp');
+const config = require('../config');
+const { getInputAssetPath } = require('./fileHandler');
+
+const HEX_COLOR = /^#?([0-9a-f]{6})$/i;
+
+/**
+ * Converts a hex color string to an RGB triple.
+ * @param {string} hex - Color in "#RRGGBB" or "RRGGBB" form.
+ * @returns {number[]} The [r, g, b] components.
+ * @throws {Error} If the color is not a valid 6-digit hex value.
+ */
+const hexToRgb = (hex) => {
+  const match = typeof hex === 'string' && hex.trim().match(HEX_COLOR);
+  if (!match) {
+    throw new Error(`Invalid brand color "${hex}". Expected a hex value like "#FF6600".`);
+  }
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+};
+
+/**
+ * Converts an RGB triple to an uppercase "#RRGGBB" string.
+ * @param {number[]} rgb - The [r, g, b] components.
+ * @returns {string} The hex color.
+ */
+const rgbToHex = ([r, g, b]) =>
+  `#${[r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+
+/**
+ * Measures how much of the image is covered by brand palette colors.
+ * Pixels are sampled on a grid and matched to the nearest palette color by RGB distance.
+ * @param {Jimp} image - The decoded image.
+ * @param {number[][]} palette - Brand colors as RGB triples.
+ * @param {number} tolerance - Maximum RGB distance for a pixel to count as on-palette.
+ * @returns {{paletteScore: number, dominantColors: string[]}} Coverage ratio and top colors found.
+ */
+const analyzePalette = (image, palette, tolerance) => {
+  const { width, height, data } = image.bitmap;
+  const step = Math.max(1, Math.round(Math.min(width, height) / config.brand.sampleGrid));
+  const buckets = {};
+  let matched = 0;
+  let sampled = 0;
+
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const idx = (y * width + x) * 4;
+      const rgb = [data[idx], data[idx + 1], data[idx + 2]];
+      sampled++;
+
+      const nearest = Math.min(
+        ...palette.map((color) =>
+          Math.hypot(rgb[0] - color[0], rgb[1] - color[1], rgb[2] - color[2])
+        )
+      );
+      if (nearest <= tolerance) {
+        matched++;
+      }
+
+      // Quantize to 32 levels per channel to find the dominant colors.
+      const key = rgb.map((c) => (c >> 3) << 3).join(',');
+      buckets[key] = (buckets[key] || 0) + 1;
+    }
+  }
+
+  const dominantColors = Object.entries(buckets)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([key]) => rgbToHex(key.split(',').map(Number)));
+
+  return { paletteScore: sampled ? matched / sampled : 0, dominantColors };
+};
+
+/**
+ * Places the brand logo in the top-right corner, scaled to at least the minimum logo size.
+ * @param {Jimp} image - The image to modify in place.
+ * @param {object} brand - The brand section from the brief.
+ * @param {string[]} issues - Collected compliance issues, appended to on failure.
+ * @returns {Promise<object>} Logo placement details for the report.
+ */
+const placeLogo = async (image, brand, issues) => {
+  const { width, height } = image.bitmap;
+  const shorterSide = Math.min(width, height);
+  const minLogoSize = brand.minLogoSize || config.brand.minLogoSize;
+  const size = Math.max(minLogoSize, Math.round(shorterSide * config.brand.logoScale));
+
+  if (size > shorterSide * config.brand.maxLogoScale) {
+    issues.push(`Logo minimum size of ${minLogoSize}px does not fit a ${width}x${height} image.`);
+    return { placed: false, file: brand.logo, width: 0, height: 0 };
+  }
+
+  const logo = await Jimp.read(getInputAssetPath(brand.logo));
+  logo.resize(size, Jimp.AUTO);
+
+  const margin = Math.round(shorterSide * config.brand.logoMargin);
+  const x = width - margin - logo.bitmap.width;
+  image.composite(logo, x, margin);
+
+  return {
+    placed: true,
+    file: brand.logo,
+    x,
+    y: margin,
+    width: logo.bitmap.width,
+    height: logo.bitmap.height,
+  };
+};
+
+/**
+ * Scores a generated image against the brand palette and optionally places the logo.
+ * @param {Buffer} imageData - The generated image.
+ * @param {object} brand - The brand section from the brief.
+ * @returns {Promise<{imageData: Buffer, report: object}>} The (possibly branded) image and compliance report.
+ * @throws {Error} If the image or logo cannot be decoded.
+ */
+const checkBrandCompliance = async (imageData, brand) => {
+  if (!imageData || !Buffer.isBuffer(imageData)) {
+    throw new Error('Image data must be a valid Buffer.');
+  }
+
+  let image;
+  try {
+    image = await Jimp.read(imageData);
+  } catch (readError) {
+    throw new Error(`Unable to decode image for brand compliance: ${readError.message}`);
+  }
+
+  const palette = brand.palette.map(hexToRgb);
+  const tolerance = brand.colorTolerance ?? config.brand.colorTolerance;
+  const minPaletteScore = brand.minPaletteScore ?? config.brand.minPaletteScore;
+  const issues = [];
+
+  const { paletteScore, dominantColors } = analyzePalette(image, palette, tolerance);
+  if (paletteScore < minPaletteScore) {
+    issues.push(
+      `Palette coverage ${(paletteScore * 100).toFixed(1)}% is below the required ${(minPaletteScore * 100).toFixed(1)}%.`
+    );
+  }
+
+  let logo = null;
+  if (brand.logo && brand.placeLogo !== false) {
+    logo = await placeLogo(image, brand, issues);
+  }
+
+  const enforcement = brand.enforcement || 'flag';
+  const status = issues.length === 0 ? 'pass' : enforcement === 'fail' ? 'fail' : 'flagged';
+
+  const report = {
+    status,
+    enforcement,
+    checkedAt: new Date().toISOString(),
+    palette: brand.palette.map((hex) => rgbToHex(hexToRgb(hex))),
+    colorTolerance: tolerance,
+    paletteScore: Number(paletteScore.toFixed(4)),
+    minPaletteScore,
+    dominantColors,
+    logo,
+    issues,
+  };
+
+  return {
+    imageData: logo && logo.placed ? await image.getBufferAsync(Jimp.MIME_PNG) : imageData,
+    report,
+  };
+};
+
+module.exports = { checkBrandCompliance };
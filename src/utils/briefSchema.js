@@ -0,0 +1,366 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+const schema = require('../../schemas/brief.schema.json');
+const { loadBrief, getInputAssetPath } = require('./fileHandler');
+const { getScenePresets, isKnownAudience, listAudiences } = require('./promptGenerator');
+const { listLocales } = require('./locales');
+const { listPromptTemplates } = require('./promptTemplates');
+const { listPlacements } = require('./placements');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(schema);
+
+/**
+ * Converts path segments to a JSONPath expression (e.g., $.products[0].name).
+ * @param {Array<string|number>} segments - Property names and array indexes.
+ * @returns {string} The JSONPath.
+ */
+const toJsonPath = (segments) =>
+  segments.reduce((jsonPath, segment) => {
+    if (typeof segment === 'number') {
+      return `${jsonPath}[${segment}]`;
+    }
+    return /^[A-Za-z_$][\w$]*$/.test(segment)
+      ? `${jsonPath}.${segment}`
+      : `${jsonPath}[${JSON.stringify(segment)}]`;
+  }, '$');
+
+/**
+ * Converts an Ajv instancePath (JSON Pointer) to path segments.
+ * @param {string} pointer - The JSON Pointer (e.g., "/products/0/name").
+ * @returns {Array<string|number>} Path segments.
+ */
+const pointerToSegments = (pointer) =>
+  pointer
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map((segment) => (/^\d+$/.test(segment) ? Number(segment) : segment));
+
+/**
+ * Turns an Ajv error into an issue with a readable message and the path it refers to.
+ * @param {object} ajvError - Error reported by Ajv.
+ * @returns {{segments: Array<string|number>, message: string, atKey: boolean}} The issue.
+ */
+const describeSchemaError = (ajvError) => {
+  const segments = pointerToSegments(ajvError.instancePath);
+  const { params } = ajvError;
+
+  switch (ajvError.keyword) {
+    case 'required':
+      return {
+        segments,
+        message: `Missing required property "${params.missingProperty}".`,
+        atKey: false,
+      };
+    case 'additionalProperties':
+      return {
+        segments: [...segments, params.additionalProperty],
+        message: `Unknown property "${params.additionalProperty}".`,
+        atKey: true,
+      };
+    case 'enum':
+      return {
+        segments,
+        message: `Must be one of: ${params.allowedValues.join(', ')}.`,
+        atKey: false,
+      };
+    case 'pattern':
+      return {
+        segments,
+        message: `Value does not match the expected format (${params.pattern}).`,
+        atKey: false,
+      };
+    default:
+      return {
+        segments,
+        message: `${ajvError.message.charAt(0).toUpperCase()}${ajvError.message.slice(1)}.`,
+        atKey: false,
+      };
+  }
+};
+
+/**
+ * Checks rules the JSON Schema cannot express, such as unique product names, existing files,
+ * and scene presets, prompt templates, placements and locales that are actually defined.
+ * @param {object} brief - The parsed brief.
+ * @returns {object[]} Issues with segments and message.
+ */
+const checkSemantics = (brief) => {
+  const issues = [];
+
+  if (Array.isArray(brief.products)) {
+    const seen = new Map();
+    brief.products.forEach((product, index) => {
+      if (!product || typeof product.name !== 'string') {
+        return;
+      }
+      if (seen.has(product.name)) {
+        issues.push({
+          segments: ['products', index, 'name'],
+          message: `Duplicate product name "${product.name}" (first used at products[${seen.get(product.name)}]).`,
+        });
+      } else {
+        seen.set(product.name, index);
+      }
+    });
+  }
+
+  if (
+    Array.isArray(brief.products) &&
+    brief.products.some((product) => product && product.scenePreset)
+  ) {
+    try {
+      const presets = getScenePresets(brief);
+      brief.products.forEach((product, index) => {
+        if (product && typeof product.scenePreset === 'string' && !presets[product.scenePreset]) {
+          issues.push({
+            segments: ['products', index, 'scenePreset'],
+            message: `Unknown scene preset "${product.scenePreset}". Available presets: ${Object.keys(presets).join(', ')}.`,
+          });
+        }
+      });
+    } catch (presetError) {
+      issues.push({ segments: ['products'], message: presetError.message });
+    }
+  }
+
+  const templateRefs = [
+    { segments: ['promptTemplate'], name: brief.promptTemplate },
+    ...(Array.isArray(brief.products) ? brief.products : []).map((product, index) => ({
+      segments: ['products', index, 'promptTemplate'],
+      name: product && product.promptTemplate,
+    })),
+  ].filter(({ name }) => typeof name === 'string');
+  if (templateRefs.length > 0) {
+    const templates = listPromptTemplates();
+    templateRefs
+      .filter(({ name }) => !templates.includes(name))
+      .forEach(({ segments, name }) => {
+        issues.push({
+          segments,
+          message: `Unknown prompt template "${name}". Available templates: ${templates.join(', ')}.`,
+        });
+      });
+  }
+
+  const placementRefs = [
+    { segments: ['placements'], names: brief.placements },
+    ...(Array.isArray(brief.products) ? brief.products : []).map((product, index) => ({
+      segments: ['products', index, 'placements'],
+      names: product && product.placements,
+    })),
+  ].filter(({ names }) => Array.isArray(names));
+  if (placementRefs.length > 0) {
+    try {
+      const available = listPlacements();
+      placementRefs.forEach(({ segments, names }) => {
+        names.forEach((name, index) => {
+          if (typeof name === 'string' && !available.includes(name)) {
+            issues.push({
+              segments: [...segments, index],
+              message: `Unknown placement "${name}". Available placements: ${available.join(', ')}.`,
+            });
+          }
+        });
+      });
+    } catch (placementError) {
+      issues.push({ segments: ['placements'], message: placementError.message });
+    }
+  }
+
+  if (Array.isArray(brief.locales)) {
+    try {
+      const available = listLocales();
+      brief.locales.forEach((locale, index) => {
+        if (typeof locale === 'string' && !available.includes(locale)) {
+          issues.push({
+            segments: ['locales', index],
+            message: `No locale file for "${locale}". Available locales: ${available.join(', ')}.`,
+          });
+        }
+      });
+    } catch (localeError) {
+      issues.push({ segments: ['locales'], message: localeError.message });
+    }
+  }
+
+  if (brief.brand && typeof brief.brand.logo === 'string' && brief.brand.logo) {
+    try {
+      const logoPath = getInputAssetPath(brief.brand.logo);
+      if (!fs.existsSync(logoPath)) {
+        issues.push({
+          segments: ['brand', 'logo'],
+          message: `Brand logo not found at: ${logoPath}`,
+        });
+      }
+    } catch (pathError) {
+      issues.push({ segments: ['brand', 'logo'], message: pathError.message });
+    }
+  }
+
+  (Array.isArray(brief.products) ? brief.products : []).forEach((product, index) => {
+    (product && Array.isArray(product.references) ? product.references : []).forEach(
+      (reference, referenceIndex) => {
+        if (!reference || typeof reference.file !== 'string' || !reference.file) {
+          return;
+        }
+        const segments = ['products', index, 'references', referenceIndex, 'file'];
+        try {
+          const referencePath = getInputAssetPath(reference.file);
+          if (!fs.existsSync(referencePath)) {
+            issues.push({ segments, message: `Reference image not found at: ${referencePath}` });
+          }
+        } catch (pathError) {
+          issues.push({ segments, message: pathError.message });
+        }
+      }
+    );
+  });
+
+  return issues;
+};
+
+/**
+ * Finds problems that do not stop generation but probably need attention,
+ * such as an audience missing from the style catalog or the deprecated aspectRatios field.
+ * @param {object} brief - The parsed brief.
+ * @returns {object[]} Warnings with segments, path (JSONPath) and message.
+ */
+const checkBriefWarnings = (brief) => {
+  const warnings = [];
+
+  if (brief && typeof brief.targetAudience === 'string' && brief.targetAudience.trim()) {
+    try {
+      if (!isKnownAudience(brief.targetAudience)) {
+        warnings.push({
+          segments: ['targetAudience'],
+          message: `Audience "${brief.targetAudience}" is not in the style catalog; using the default style. Known audiences: ${listAudiences().join(', ')}.`,
+        });
+      }
+    } catch (catalogError) {
+      warnings.push({ segments: ['targetAudience'], message: catalogError.message });
+    }
+  }
+
+  if (brief && Array.isArray(brief.aspectRatios)) {
+    warnings.push({
+      segments: ['aspectRatios'],
+      message: brief.placements
+        ? 'aspectRatios is ignored because placements is set.'
+        : 'aspectRatios is deprecated; use placements (e.g., ["instagram-feed", "stories-reels"]) instead.',
+    });
+  }
+
+  return warnings.map((warning) => ({ ...warning, path: toJsonPath(warning.segments) }));
+};
+
+/**
+ * Validates an already-parsed brief against the published schema and semantic rules.
+ * @param {object} brief - The parsed brief.
+ * @returns {object[]} Every issue found, each with segments, path (JSONPath) and message.
+ */
+const validateBriefData = (brief) => {
+  const issues = [];
+  if (!validateSchema(brief)) {
+    issues.push(...validateSchema.errors.map(describeSchemaError));
+  }
+  if (brief && typeof brief === 'object' && !Array.isArray(brief)) {
+    issues.push(...checkSemantics(brief));
+  }
+  return issues.map((issue) => ({ ...issue, path: toJsonPath(issue.segments) }));
+};
+
+/**
+ * Finds the source line and column of a path in a JSON or YAML document.
+ * Falls back to the closest existing ancestor when the path itself is missing.
+ * @param {YAML.Document} document - The parsed document with source ranges.
+ * @param {YAML.LineCounter} lineCounter - Line counter used while parsing.
+ * @param {Array<string|number>} segments - Path to locate.
+ * @param {boolean} atKey - Point at the property key rather than its value.
+ * @returns {{line: number|null, column: number|null}} 1-based position, or nulls if unknown.
+ */
+const locate = (document, lineCounter, segments, atKey) => {
+  for (let depth = segments.length; depth >= 0; depth--) {
+    const parentSegments = segments.slice(0, depth);
+    let offset = null;
+
+    if (atKey && depth === segments.length && depth > 0) {
+      const parent = document.getIn(segments.slice(0, -1), true);
+      const pair = parent?.items?.find(
+        (item) => item.key && String(item.key.value ?? item.key) === String(segments[depth - 1])
+      );
+      offset = pair?.key?.range?.[0] ?? null;
+    } else {
+      const node = depth === 0 ? document.contents : document.getIn(parentSegments, true);
+      offset = node?.range?.[0] ?? null;
+    }
+
+    if (offset !== null) {
+      const { line, col } = lineCounter.linePos(offset);
+      return { line, column: col };
+    }
+  }
+  return { line: null, column: null };
+};
+
+/**
+ * Loads a brief file and reports every problem with its file, line, column and JSON path.
+ * Does not need credentials or network access.
+ * @param {string} briefPath - Path to the brief file.
+ * @returns {{brief: object|null, errors: object[], warnings: object[]}} The parsed brief (null if unparsable),
+ *   all errors and all warnings.
+ */
+const validateBriefFile = (briefPath) => {
+  const file = path.relative(process.cwd(), briefPath) || briefPath;
+
+  let brief;
+  try {
+    brief = loadBrief(briefPath);
+  } catch (loadError) {
+    return {
+      brief: null,
+      errors: [
+        {
+          file,
+          line: loadError.line ?? null,
+          column: loadError.column ?? null,
+          path: '$',
+          message: loadError.message,
+        },
+      ],
+      warnings: [],
+    };
+  }
+
+  const issues = validateBriefData(brief);
+  const warningIssues = checkBriefWarnings(brief);
+  if (issues.length === 0 && warningIssues.length === 0) {
+    return { brief, errors: [], warnings: [] };
+  }
+
+  const lineCounter = new YAML.LineCounter();
+  const document = YAML.parseDocument(fs.readFileSync(briefPath, 'utf8'), { lineCounter });
+  const withLocation = ({ segments, atKey, path: jsonPath, message }) => ({
+    file,
+    ...locate(document, lineCounter, segments, atKey),
+    path: jsonPath,
+    message,
+  });
+
+  return { brief, errors: issues.map(withLocation), warnings: warningIssues.map(withLocation) };
+};
+
+/**
+ * Formats a validation error as "file:line:column path message".
+ * @param {object} validationError - Error returned by validateBriefFile.
+ * @returns {string} The formatted error.
+ */
+const formatValidationError = ({ file, line, column, path: jsonPath, message }) => {
+  const location = line ? `${file}:${line}:${column}` : file;
+  return `${location} ${jsonPath} ${message}`;
+};
+
+module.exports = { validateBriefData, validateBriefFile, formatValidationError };
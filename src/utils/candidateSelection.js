@@ -0,0 +1,80 @@
+const Jimp = require('jimp');
+const config = require('../config');
+
+const SAMPLE_SIZE = 256;
+
+/**
+ * Measures image sharpness as the variance of the Laplacian over a downscaled grayscale copy.
+ * Higher values mean more edge detail; flat or blurry images score near zero.
+ * @param {Buffer} imageData - The image to measure.
+ * @returns {Promise<number>} The Laplacian variance.
+ * @throws {Error} If the image cannot be decoded.
+ */
+const measureSharpness = async (imageData) => {
+  let image;
+  try {
+    image = await Jimp.read(imageData);
+  } catch (readError) {
+    throw new Error(`Unable to decode image for sharpness scoring: ${readError.message}`);
+  }
+
+  image.scaleToFit(SAMPLE_SIZE, SAMPLE_SIZE).greyscale();
+  const { width, height, data } = image.bitmap;
+  const gray = (x, y) => data[(y * width + x) * 4];
+
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const laplacian =
+        gray(x - 1, y) + gray(x + 1, y) + gray(x, y - 1) + gray(x, y + 1) - 4 * gray(x, y);
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+
+  if (count === 0) {
+    return 0;
+  }
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+};
+
+/**
+ * Scores candidates and picks the best one for automatic selection.
+ * Sharpness is normalized against the sharpest candidate; when a brand palette score is available it is
+ * blended in using the configured weights. Candidates that failed brand compliance are never selected.
+ * @param {object[]} candidates - Candidates with variation, imageData and optional paletteScore and complianceStatus.
+ * @returns {Promise<{selected: object|null, candidates: object[]}>} The winning candidate (null when none is
+ *   eligible) and every candidate with sharpness and score filled in.
+ * @throws {Error} If a candidate image cannot be decoded.
+ */
+const selectCandidate = async (candidates) => {
+  const scored = [];
+  for (const candidate of candidates) {
+    scored.push({ ...candidate, sharpness: await measureSharpness(candidate.imageData) });
+  }
+
+  const maxSharpness = Math.max(...scored.map((candidate) => candidate.sharpness), 0);
+  const { sharpnessWeight, paletteWeight } = config.variations;
+  scored.forEach((candidate) => {
+    const sharpnessScore = maxSharpness > 0 ? candidate.sharpness / maxSharpness : 0;
+    const score =
+      typeof candidate.paletteScore === 'number'
+        ? (sharpnessWeight * sharpnessScore + paletteWeight * candidate.paletteScore) /
+          (sharpnessWeight + paletteWeight)
+        : sharpnessScore;
+    candidate.sharpness = Number(candidate.sharpness.toFixed(2));
+    candidate.score = Number(score.toFixed(4));
+  });
+
+  const selected = scored
+    .filter((candidate) => candidate.complianceStatus !== 'fail')
+    .reduce((best, candidate) => (!best || candidate.score > best.score ? candidate : best), null);
+
+  return { selected, candidates: scored };
+};
+
+module.exports = { measureSharpness, selectCandidate };
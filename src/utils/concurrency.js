@@ -0,0 +1,74 @@
+/**
+ * Waits for the given number of milliseconds.
+ * @param {number} ms - Delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Processes items with a bounded number of concurrent workers.
+ * Results keep the order of the input items regardless of completion order.
+ * @param {Array} items - Items to process.
+ * @param {number} concurrency - Maximum number of items processed at once.
+ * @param {Function} worker - Async function called with (item, index); should not throw.
+ * @returns {Promise<Array>} The worker results, in input order.
+ * @throws {Error} If concurrency is not a positive integer.
+ */
+const runPool = async (items, concurrency, worker) => {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('Concurrency must be a positive integer.');
+  }
+
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+};
+
+/**
+ * Creates a sliding-window limiter allowing at most N acquisitions per minute.
+ * Callers are served in order; a limit of 0 or less disables limiting.
+ * @param {number} requestsPerMinute - Maximum acquisitions in any 60-second window.
+ * @returns {{acquire: Function}} Limiter whose acquire() resolves when a request may start.
+ */
+const createRateLimiter = (requestsPerMinute) => {
+  if (!requestsPerMinute || requestsPerMinute <= 0) {
+    return { acquire: async () => {} };
+  }
+
+  const windowMs = 60000;
+  const timestamps = [];
+  let queue = Promise.resolve();
+
+  const waitForSlot = async () => {
+    for (;;) {
+      const now = Date.now();
+      while (timestamps.length > 0 && now - timestamps[0] >= windowMs) {
+        timestamps.shift();
+      }
+      if (timestamps.length < requestsPerMinute) {
+        timestamps.push(now);
+        return;
+      }
+      await sleep(timestamps[0] + windowMs - now);
+    }
+  };
+
+  return {
+    acquire: () => {
+      const slot = queue.then(waitForSlot);
+      queue = slot.catch(() => {});
+      return slot;
+    },
+  };
+};
+
+module.exports = { sleep, runPool, createRateLimiter };
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const config = require('../config');
+
+const SEVERITIES = ['warning', 'block'];
+let cachedRules = null;
+
+/**
+ * Escapes a literal term for use inside a regular expression.
+ * @param {string} term - The literal text.
+ * @returns {string} The escaped pattern.
+ */
+const escapeRegExp = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles a rule into a case-insensitive, Unicode-aware regular expression.
+ * Literal terms only match whole words so "cure" does not flag "secure".
+ * @param {object} rule - Rule with either a term or a pattern.
+ * @returns {RegExp} The compiled expression.
+ * @throws {Error} If the rule is malformed.
+ */
+const compileRule = (rule) => {
+  if (rule.term && typeof rule.term === 'string') {
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(rule.term)}(?![\\p{L}\\p{N}])`, 'iu');
+  }
+  if (rule.pattern && typeof rule.pattern === 'string') {
+    return new RegExp(rule.pattern, 'iu');
+  }
+  throw new Error('Each prohibited content rule must define a "term" or a "pattern".');
+};
+
+/**
+ * Loads the prohibited content lists from the configured rules file.
+ * @returns {object} Rules file contents with global and per-region lists.
+ * @throws {Error} If the file cannot be read or contains invalid rules.
+ */
+const loadRules = () => {
+  if (cachedRules) {
+    return cachedRules;
+  }
+
+  const rulesPath = config.contentScreening.rulesPath;
+  let rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  } catch (readError) {
+    throw new Error(
+      `Unable to load prohibited content rules from ${rulesPath}: ${readError.message}`
+    );
+  }
+
+  const all = [...(rules.global || []), ...Object.values(rules.regions || {}).flat()];
+  all.forEach((rule) => {
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new Error(
+        `Invalid severity "${rule.severity}" in prohibited content rules. Expected: ${SEVERITIES.join(', ')}`
+      );
+    }
+    compileRule(rule);
+  });
+
+  cachedRules = rules;
+  return rules;
+};
+
+/**
+ * Returns the global rules plus any rules for the target region.
+ * @param {string} region - The brief's targetRegion (e.g., "US").
+ * @returns {object[]} Rules that apply to the region.
+ */
+const getRulesForRegion = (region) => {
+  const rules = loadRules();
+  const regions = rules.regions || {};
+  const key = Object.keys(regions).find(
+    (name) => name.toLowerCase() === String(region || '').toLowerCase()
+  );
+  return [...(rules.global || []), ...(key ? regions[key] : [])];
+};
+
+/**
+ * Screens named pieces of copy against the prohibited content rules for a region.
+ * @param {object} fields - Map of field name to text (e.g., { campaignMessage: '...' }).
+ * @param {string} region - The brief's targetRegion.
+ * @returns {{blocked: boolean, violations: object[]}} Whether any blocking rule matched, and every match.
+ */
+const screenContent = (fields, region) => {
+  const rules = getRulesForRegion(region);
+  const violations = [];
+
+  Object.entries(fields).forEach(([field, text]) => {
+    if (!text || typeof text !== 'string') {
+      return;
+    }
+    rules.forEach((rule) => {
+      const match = text.match(compileRule(rule));
+      if (match) {
+        violations.push({
+          field,
+          match: match[0],
+          category: rule.category || 'general',
+          severity: rule.severity,
+          reason: rule.reason || 'Prohibited term.',
+        });
+      }
+    });
+  });
+
+  return { blocked: violations.some((v) => v.severity === 'block'), violations };
+};
+
+/**
+ * Screens a product's copy together with the campaign copy that will appear alongside it.
+ * @param {object} product - The product object from the brief.
+ * @param {object} copy - Localized campaign copy.
+ * @param {string} copy.campaignMessage - The localized campaign message.
+ * @param {string} [copy.callToAction] - The localized call to action used in the overlay.
+ * @param {string} region - The brief's targetRegion.
+ * @returns {{blocked: boolean, violations: object[]}} Screening result for the product.
+ */
+const screenProductCopy = (product, { campaignMessage, callToAction }, region) =>
+  screenContent(
+    {
+      campaignMessage,
+      callToAction,
+      'product.name': product.name,
+      'product.description': product.description,
+    },
+    region
+  );
+
+/**
+ * Screens the text that goes into a product's image prompt but not onto the asset: the campaign message in
+ * the default locale (rendered even when that locale is not produced) and the resolved scene direction,
+ * including the negative prompt.
+ * @param {object} inputs - Prompt inputs.
+ * @param {string} inputs.promptMessage - Campaign message used in the prompt.
+ * @param {object} inputs.scene - Scene direction from getSceneDetails (scene, environment, mood, ...).
+ * @param {string} region - The brief's targetRegion.
+ * @returns {{blocked: boolean, violations: object[]}} Screening result for the prompt.
+ */
+const screenPromptInputs = ({ promptMessage, scene }, region) =>
+  screenContent(
+    {
+      promptMessage,
+      ...Object.fromEntries(Object.entries(scene).map(([field, text]) => [`scene.${field}`, text])),
+    },
+    region
+  );
+
+module.exports = { screenContent, screenProductCopy, screenPromptInputs };
@@ -0,0 +1,277 @@
+const Jimp = require('jimp');
+const config = require('../config');
+
+/**
+ * Averages the colors of a set of pixels.
+ * @param {Buffer} data - RGBA bitmap data.
+ * @param {number[]} offsets - Byte offsets of the pixels to average.
+ * @returns {number[]} The mean [r, g, b].
+ */
+const meanColor = (data, offsets) => {
+  const sum = [0, 0, 0];
+  offsets.forEach((offset) => {
+    sum[0] += data[offset];
+    sum[1] += data[offset + 1];
+    sum[2] += data[offset + 2];
+  });
+  return sum.map((channel) => channel / Math.max(offsets.length, 1));
+};
+
+/**
+ * Samples the mean color of each edge of an image; padding is filled with these so it blends in.
+ * @param {object} bitmap - Jimp bitmap (width, height, data).
+ * @returns {{top: number[], right: number[], bottom: number[], left: number[]}} Mean [r, g, b] per edge.
+ */
+const sampleEdgeColors = ({ width, height, data }) => {
+  const offset = (x, y) => (y * width + x) * 4;
+  const columns = Array.from({ length: width }, (_, x) => x);
+  const rows = Array.from({ length: height }, (_, y) => y);
+  return {
+    top: meanColor(
+      data,
+      columns.map((x) => offset(x, 0))
+    ),
+    right: meanColor(
+      data,
+      rows.map((y) => offset(width - 1, y))
+    ),
+    bottom: meanColor(
+      data,
+      columns.map((x) => offset(x, height - 1))
+    ),
+    left: meanColor(
+      data,
+      rows.map((y) => offset(0, y))
+    ),
+  };
+};
+
+/**
+ * Finds the trimmed extent along one axis that holds the given share of the saliency mass.
+ * @param {number[]} profile - Saliency summed per column or row.
+ * @param {number} coverage - Share of the mass to keep (e.g., 0.9 trims 5% from each end).
+ * @returns {{start: number, end: number, center: number}} Extent in profile units (end exclusive) and mass centroid.
+ */
+const massExtent = (profile, coverage) => {
+  const total = profile.reduce((sum, value) => sum + value, 0);
+  if (total === 0) {
+    return { start: 0, end: profile.length, center: profile.length / 2 };
+  }
+
+  const trim = (total * (1 - coverage)) / 2;
+  let start = 0;
+  for (
+    let cumulative = 0;
+    start < profile.length - 1 && cumulative + profile[start] <= trim;
+    start++
+  ) {
+    cumulative += profile[start];
+  }
+  let end = profile.length;
+  for (let cumulative = 0; end > start + 1 && cumulative + profile[end - 1] <= trim; end--) {
+    cumulative += profile[end - 1];
+  }
+  const center = profile.reduce((sum, value, index) => sum + value * (index + 0.5), 0) / total;
+  return { start, end, center };
+};
+
+/**
+ * Locates the subject of an image from a saliency map: each pixel scores by its color distance
+ * from the mean border color (the likely background) plus its local gradient (edges and texture).
+ * @param {Jimp} image - The image to analyze; it is not modified.
+ * @returns {{x: number, y: number, width: number, height: number, centerX: number, centerY: number}}
+ *   The subject bounding box and saliency centroid, as fractions of the image size.
+ */
+const findSubject = (image) => {
+  const { analysisSize, subjectCoverage } = config.derivation;
+  const sample = image.clone().scaleToFit(analysisSize, analysisSize);
+  const { width, height, data } = sample.bitmap;
+  const edges = sampleEdgeColors(sample.bitmap);
+  const background = [0, 1, 2].map(
+    (channel) =>
+      (edges.top[channel] + edges.right[channel] + edges.bottom[channel] + edges.left[channel]) / 4
+  );
+
+  const columns = new Array(width).fill(0);
+  const rows = new Array(height).fill(0);
+  const offset = (x, y) => (y * width + x) * 4;
+  const difference = (a, b) =>
+    Math.abs(data[a] - data[b]) +
+    Math.abs(data[a + 1] - data[b + 1]) +
+    Math.abs(data[a + 2] - data[b + 2]);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = offset(x, y);
+      const distance = Math.hypot(
+        data[pixel] - background[0],
+        data[pixel + 1] - background[1],
+        data[pixel + 2] - background[2]
+      );
+      const gradient =
+        (x < width - 1 ? difference(pixel, offset(x + 1, y)) : 0) +
+        (y < height - 1 ? difference(pixel, offset(x, y + 1)) : 0);
+      const saliency = distance + gradient;
+      columns[x] += saliency;
+      rows[y] += saliency;
+    }
+  }
+
+  const horizontal = massExtent(columns, subjectCoverage);
+  const vertical = massExtent(rows, subjectCoverage);
+  return {
+    x: horizontal.start / width,
+    y: vertical.start / height,
+    width: (horizontal.end - horizontal.start) / width,
+    height: (vertical.end - vertical.start) / height,
+    centerX: horizontal.center / width,
+    centerY: vertical.center / height,
+  };
+};
+
+/**
+ * Positions a window of the given length along one axis: centered on the subject, kept inside the image
+ * when it fits, and otherwise centered on the image so padding is split evenly.
+ * @param {number} length - Window length in pixels.
+ * @param {number} imageLength - Image length in pixels.
+ * @param {number} start - Subject start in pixels.
+ * @param {number} end - Subject end in pixels.
+ * @param {number} center - Subject centroid in pixels.
+ * @returns {number} Window start in pixels (negative when the window is padded).
+ */
+const placeWindow = (length, imageLength, start, end, center) => {
+  if (length >= imageLength) {
+    return Math.round((imageLength - length) / 2);
+  }
+  // Keep the whole subject in view when it fits, then stay inside the image.
+  const centered =
+    end - start <= length
+      ? Math.min(Math.max(center - length / 2, end - length), start)
+      : center - length / 2;
+  return Math.round(Math.min(Math.max(centered, 0), imageLength - length));
+};
+
+/**
+ * Plans the region of a master image to use for a placement. The largest window of the placement's shape
+ * is cropped around the subject; when that would cut into a subject that does not fill the frame, the
+ * window is widened to hold the subject and the overflow is padded instead.
+ * @param {{width: number, height: number}} master - Master image size in pixels.
+ * @param {object} subject - Subject box and centroid from findSubject, as fractions.
+ * @param {{width: number, height: number}} placement - Target pixel size.
+ * @returns {{method: string, region: {x: number, y: number, width: number, height: number}}} 'resize' when the
+ *   shapes already match, 'crop' or 'pad'; the region is in master pixels and extends past the image when padded.
+ */
+const planRegion = (master, subject, placement) => {
+  const targetRatio = placement.width / placement.height;
+  const masterRatio = master.width / master.height;
+  if (Math.abs(Math.log(targetRatio / masterRatio)) < 0.01) {
+    return { method: 'resize', region: { x: 0, y: 0, width: master.width, height: master.height } };
+  }
+
+  // The free axis is the one the crop window is narrower than the master on.
+  const horizontal = targetRatio < masterRatio;
+  const imageLength = horizontal ? master.width : master.height;
+  const crossLength = horizontal ? master.height : master.width;
+  const shapeRatio = horizontal ? targetRatio : 1 / targetRatio;
+  const start = (horizontal ? subject.x : subject.y) * imageLength;
+  const end = start + (horizontal ? subject.width : subject.height) * imageLength;
+  const center = (horizontal ? subject.centerX : subject.centerY) * imageLength;
+
+  const { subjectMargin, fullSceneExtent } = config.derivation;
+  const cropLength = Math.round(crossLength * shapeRatio);
+  const subjectLength = Math.min((end - start) * (1 + 2 * subjectMargin), imageLength);
+  // A subject that spans (nearly) the whole frame is a full-bleed scene; padding it would only letterbox it.
+  const pad = subjectLength > cropLength && end - start < fullSceneExtent * imageLength;
+
+  const length = pad ? Math.round(subjectLength) : cropLength;
+  const cross = pad ? Math.round(length / shapeRatio) : crossLength;
+  const offset = placeWindow(length, imageLength, start, end, center);
+  const crossOffset = Math.round((crossLength - cross) / 2);
+  const region = horizontal
+    ? { x: offset, y: crossOffset, width: length, height: cross }
+    : { x: crossOffset, y: offset, width: cross, height: length };
+  return { method: pad ? 'pad' : 'crop', region };
+};
+
+/**
+ * Derives a placement image from a master render with subject-aware cropping or padding, using only
+ * Jimp's pure JavaScript image operations.
+ * @param {Buffer} imageData - The master image.
+ * @param {object} placement - Target placement (name, width and height).
+ * @returns {Promise<{imageData: Buffer, derivation: object}>} PNG data at the placement size and how it was made:
+ *   method ('resize', 'crop' or 'pad'), the region of the master used and the detected subject box, both in
+ *   master pixels.
+ * @throws {Error} If the master cannot be decoded.
+ */
+const deriveFromMaster = async (imageData, placement) => {
+  let image;
+  try {
+    image = await Jimp.read(imageData);
+  } catch (readError) {
+    throw new Error(
+      `Unable to decode master image for placement ${placement.name}: ${readError.message}`
+    );
+  }
+
+  const master = { width: image.bitmap.width, height: image.bitmap.height };
+  const subject = findSubject(image);
+  const { method, region } = planRegion(master, subject, placement);
+  const derivation = {
+    method,
+    region,
+    subject: {
+      x: Math.round(subject.x * master.width),
+      y: Math.round(subject.y * master.height),
+      width: Math.round(subject.width * master.width),
+      height: Math.round(subject.height * master.height),
+    },
+  };
+
+  if (method !== 'pad') {
+    image
+      .crop(region.x, region.y, region.width, region.height)
+      .resize(placement.width, placement.height);
+    return { imageData: await image.getBufferAsync(Jimp.MIME_PNG), derivation };
+  }
+
+  // Scale the visible part of the region, then paint the overflow with the matching edge color.
+  const scale = placement.width / region.width;
+  const visible = {
+    x: Math.max(region.x, 0),
+    y: Math.max(region.y, 0),
+    width: Math.min(region.x + region.width, master.width) - Math.max(region.x, 0),
+    height: Math.min(region.y + region.height, master.height) - Math.max(region.y, 0),
+  };
+  const left = Math.round((visible.x - region.x) * scale);
+  const top = Math.round((visible.y - region.y) * scale);
+  const scaledWidth = Math.min(Math.round(visible.width * scale), placement.width - left);
+  const scaledHeight = Math.min(Math.round(visible.height * scale), placement.height - top);
+
+  const edges = sampleEdgeColors(image.bitmap);
+  const content = image
+    .crop(visible.x, visible.y, visible.width, visible.height)
+    .resize(scaledWidth, scaledHeight);
+  const canvas = new Jimp(placement.width, placement.height);
+  canvas.scan(0, 0, placement.width, placement.height, function (x, y, idx) {
+    let color = null;
+    if (y < top) {
+      color = edges.top;
+    } else if (y >= top + scaledHeight) {
+      color = edges.bottom;
+    } else if (x < left) {
+      color = edges.left;
+    } else if (x >= left + scaledWidth) {
+      color = edges.right;
+    }
+    if (color) {
+      this.bitmap.data[idx] = Math.round(color[0]);
+      this.bitmap.data[idx + 1] = Math.round(color[1]);
+      this.bitmap.data[idx + 2] = Math.round(color[2]);
+      this.bitmap.data[idx + 3] = 255;
+    }
+  });
+  canvas.composite(content, left, top);
+  return { imageData: await canvas.getBufferAsync(Jimp.MIME_PNG), derivation };
+};
+
+module.exports = { findSubject, deriveFromMaster };
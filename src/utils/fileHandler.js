@@ -1,10 +1,102 @@
 const fs = require('fs');
 const path = require('path');
-const yaml = require('js-yaml');
+const YAML = require('yaml');
+const { globSync, hasMagic } = require('glob');
+const config = require('../config');
 const { error } = require('./logger');
 
+const inputBriefsDir = path.resolve(config.paths.briefs);
+const inputAssetsDir = path.resolve(config.paths.assets);
+const briefExtensions = ['.json', '.yaml', '.yml'];
+// Generated assets are PNG unless a placement's file size limit forces JPEG.
+const assetExtensions = ['png', 'jpg'];
+const outputsDir = path.resolve(config.paths.outputs);
+
+/**
+ * Resolves the output directory for a campaign. Names are sanitized for filesystem compatibility.
+ * @param {string} campaignName - Name of the campaign.
+ * @returns {string} Absolute path to the campaign's output directory.
+ */
+const getCampaignOutputDir = (campaignName) =>
+  path.join(outputsDir, campaignName.replace(/[^a-z0-9]/gi, '_').toLowerCase());
+
+/**
+ * Resolves the output directory for a placement, creating it if needed.
+ * @param {string} campaignName - Name of the campaign.
+ * @param {string} placementName - Name of the placement (e.g., "stories-reels").
+ * @param {string|null} [locale] - Locale folder between the campaign and placement folders.
+ * @returns {string} Absolute path to the writable output directory.
+ * @throws {Error} If the directory cannot be created or is not writable.
+ */
+const ensureOutputDir = (campaignName, placementName, locale = null) => {
+  const dir = path.join(
+    getCampaignOutputDir(campaignName),
+    ...(locale ? [locale] : []),
+    placementName
+  );
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  try {
+    fs.accessSync(dir, fs.constants.W_OK);
+  } catch (accessError) {
+    throw new Error(`Output directory ${dir} is not writable: ${accessError.message}`);
+  }
+
+  return dir;
+};
+
+/**
+ * Converts a character offset into a 1-based line and column.
+ * @param {string} text - Source text.
+ * @param {number|null} offset - Character offset, or null if unknown.
+ * @returns {{line: number|null, column: number|null}} The position.
+ */
+const offsetToPosition = (text, offset) => {
+  if (offset === null || offset === undefined) {
+    return { line: null, column: null };
+  }
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+};
+
+/**
+ * Creates a parse error that carries the 1-based source line and column when known.
+ * @param {string} message - Description of the problem.
+ * @param {string} text - Source text.
+ * @param {number|null} offset - Character offset of the problem, or null if unknown.
+ * @returns {Error} The error, with line and column properties.
+ */
+const createParseError = (message, text, offset) => {
+  const { line, column } = offsetToPosition(text, offset);
+  const location = line ? ` at line ${line}, column ${column}` : '';
+  const parseError = new Error(`Failed to parse brief file${location}: ${message}`);
+  parseError.line = line;
+  parseError.column = column;
+  return parseError;
+};
+
+/**
+ * Finds the offset of a JSON syntax error. Newer V8 versions omit the position for
+ * unexpected tokens, so the YAML parser (a JSON superset) is used to pinpoint those.
+ * @param {string} text - Source text.
+ * @param {Error} parseError - Error thrown by JSON.parse.
+ * @returns {number|null} The offset, or null if it cannot be determined.
+ */
+const findJsonErrorOffset = (text, parseError) => {
+  const match = parseError.message.match(/at position (\d+)/);
+  if (match) {
+    return Number(match[1]);
+  }
+  const [yamlError] = YAML.parseDocument(text).errors;
+  return yamlError ? yamlError.pos[0] : null;
+};
+
 /**
  * Loads and parses a campaign brief from a JSON or YAML file.
+ * Parse errors carry `line` and `column` properties pointing at the problem.
  * @param {string} briefPath - Path to the brief file.
  * @returns {object} Parsed brief object.
  * @throws {Error} If file doesn't exist, can't be read, or has invalid format.
@@ -31,72 +123,114 @@ const loadBrief = (briefPath) => {
   }
 
   const ext = path.extname(briefPath).toLowerCase();
-  
-  try {
-    if (ext === '.json') {
+
+  if (ext === '.json') {
+    try {
       return JSON.parse(fileContents);
-    } else if (ext === '.yaml' || ext === '.yml') {
-      const yamlData = yaml.load(fileContents);
-      if (yamlData === null || yamlData === undefined) {
-        throw new Error('YAML file contains no valid data.');
-      }
-      return yamlData;
-    } else {
-      throw new Error(`Unsupported brief format: ${ext}. Supported formats are .json, .yaml, .yml`);
+    } catch (parseError) {
+      throw createParseError(
+        parseError.message,
+        fileContents,
+        findJsonErrorOffset(fileContents, parseError)
+      );
+    }
+  }
+
+  if (ext === '.yaml' || ext === '.yml') {
+    const document = YAML.parseDocument(fileContents, { prettyErrors: false });
+    if (document.errors.length > 0) {
+      const [firstError] = document.errors;
+      throw createParseError(firstError.message, fileContents, firstError.pos[0]);
     }
-  } catch (parseError) {
-    throw new Error(`Failed to parse brief file: ${parseError.message}`);
+
+    const yamlData = document.toJS();
+    if (yamlData === null || yamlData === undefined) {
+      throw new Error('Failed to parse brief file: YAML file contains no valid data.');
+    }
+    return yamlData;
   }
+
+  throw new Error(`Unsupported brief format: ${ext}. Supported formats are .json, .yaml, .yml`);
 };
 
 /**
- * Checks if an asset file already exists for the given product and aspect ratio.
+ * Builds the file name of an asset, e.g. "productA.png" or "productA_v2.png" for a candidate variation.
  * @param {string} productName - Name of the product.
- * @param {string} aspectRatio - Aspect ratio (e.g., "1:1").
- * @returns {boolean} True if asset exists, false otherwise.
- * @throws {Error} If parameters are invalid.
+ * @param {number|null} [variation] - Candidate variation number, or null for the final asset.
+ * @param {string} [extension] - File extension without the dot.
+ * @returns {string} The file name.
  */
-const checkAssetExists = (productName, aspectRatio) => {
-  if (!productName || typeof productName !== 'string') {
-    throw new Error('Product name must be a non-empty string.');
-  }
-  
-  if (!aspectRatio || typeof aspectRatio !== 'string') {
-    throw new Error('Aspect ratio must be a non-empty string.');
-  }
+const getAssetFileName = (productName, variation = null, extension = 'png') =>
+  `${productName}${variation ? `_v${variation}` : ''}.${extension}`;
 
-  if (!aspectRatio.includes(':')) {
-    throw new Error('Aspect ratio must be in format "width:height" (e.g., "1:1").');
-  }
+/**
+ * Resolves where an asset is (or would be) saved, without creating any folders.
+ * Assets live in one folder per placement: <campaign>/<locale>/<placement>/<product>.png.
+ * @param {string} campaignName - Name of the campaign.
+ * @param {string} productName - Name of the product.
+ * @param {string} placementName - Name of the placement.
+ * @param {object} [options] - Asset variant.
+ * @param {string|null} [options.locale] - Locale folder of the asset.
+ * @param {number|null} [options.variation] - Candidate variation number, or null for the final asset.
+ * @param {string} [options.extension] - File extension without the dot.
+ * @returns {string} The asset path.
+ */
+const getAssetPath = (
+  campaignName,
+  productName,
+  placementName,
+  { locale = null, variation = null, extension = 'png' } = {}
+) =>
+  path.join(
+    getCampaignOutputDir(campaignName),
+    ...(locale ? [locale] : []),
+    placementName,
+    getAssetFileName(productName, variation, extension)
+  );
 
-  try {
-    const formattedRatio = aspectRatio.replace(':', 'x');
-    const assetPath = path.join(
-      __dirname,
-      '..',
-      '..',
-      'inputs',
-      'assets',
-      productName,
-      `${formattedRatio}.png`
-    );
-    
-    return fs.existsSync(assetPath);
-  } catch (fsError) {
-    error(`Error checking asset existence for ${productName} (${aspectRatio}): ${fsError.message}`);
-    return false;
-  }
-};
+/**
+ * Finds a saved asset in any of the formats assets are written in.
+ * @param {string} campaignName - Name of the campaign.
+ * @param {string} productName - Name of the product.
+ * @param {string} placementName - Name of the placement.
+ * @param {object} [options] - Asset variant.
+ * @param {string|null} [options.locale] - Locale folder of the asset.
+ * @param {number|null} [options.variation] - Candidate variation number, or null for the final asset.
+ * @returns {string|null} Path of the existing asset, or null if there is none.
+ */
+const findAsset = (
+  campaignName,
+  productName,
+  placementName,
+  { locale = null, variation = null } = {}
+) =>
+  assetExtensions
+    .map((extension) =>
+      getAssetPath(campaignName, productName, placementName, { locale, variation, extension })
+    )
+    .find((assetPath) => fs.existsSync(assetPath)) || null;
 
 /**
  * Saves asset data to the filesystem in the outputs directory.
+ * A copy of the same asset in another format (e.g., a PNG replaced by a smaller JPEG) is removed.
  * @param {string} campaignName - Name of the campaign.
  * @param {string} productName - Name of the product.
- * @param {string} aspectRatio - Aspect ratio (e.g., "1:1").
+ * @param {string} placementName - Name of the placement (e.g., "stories-reels"); selects the placement folder.
  * @param {Buffer} data - Image data buffer.
+ * @param {object} [options] - Asset variant.
+ * @param {string|null} [options.locale] - Locale of the copy on the image (e.g., "es"); selects the locale folder.
+ * @param {number|null} [options.variation] - Candidate variation number; saves as "<product>_v<n>" instead of the final asset.
+ * @param {string} [options.extension] - File extension matching the data's format (default "png").
+ * @returns {string} Path to the saved asset.
  * @throws {Error} If parameters are invalid or file operations fail.
  */
-const saveAsset = (campaignName, productName, aspectRatio, data) => {
+const saveAsset = (
+  campaignName,
+  productName,
+  placementName,
+  data,
+  { locale = null, variation = null, extension = 'png' } = {}
+) => {
   if (!campaignName || typeof campaignName !== 'string') {
     throw new Error('Campaign name must be a non-empty string.');
   }
@@ -105,14 +239,10 @@ const saveAsset = (campaignName, productName, aspectRatio, data) => {
     throw new Error('Product name must be a non-empty string.');
   }
   
-  if (!aspectRatio || typeof aspectRatio !== 'string') {
-    throw new Error('Aspect ratio must be a non-empty string.');
+  if (!placementName || typeof placementName !== 'string') {
+    throw new Error('Placement name must be a non-empty string.');
   }
 
-  if (!aspectRatio.includes(':')) {
-    throw new Error('Aspect ratio must be in format "width:height" (e.g., "1:1").');
-  }
-  
   if (!data || !Buffer.isBuffer(data)) {
     throw new Error('Data must be a valid Buffer.');
   }
@@ -122,21 +252,8 @@ const saveAsset = (campaignName, productName, aspectRatio, data) => {
   }
 
   try {
-    const safeCampaignName = campaignName.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-    const dir = path.join(__dirname, '..', '..', 'outputs', safeCampaignName, productName);
-
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-
-    try {
-      fs.accessSync(dir, fs.constants.W_OK);
-    } catch (accessError) {
-      throw new Error(`Output directory ${dir} is not writable: ${accessError.message}`);
-    }
-
-    const formattedRatio = aspectRatio.replace(':', 'x');
-    const assetPath = path.join(dir, `${formattedRatio}.png`);
+    const dir = ensureOutputDir(campaignName, placementName, locale);
+    const assetPath = path.join(dir, getAssetFileName(productName, variation, extension));
     
     fs.writeFileSync(assetPath, data);
     
@@ -149,6 +266,14 @@ const saveAsset = (campaignName, productName, aspectRatio, data) => {
       throw new Error(`File size mismatch. Expected ${data.length} bytes, got ${stats.size} bytes.`);
     }
 
+    assetExtensions
+      .filter((other) => other !== extension)
+      .map((other) => path.join(dir, getAssetFileName(productName, variation, other)))
+      .filter((stalePath) => fs.existsSync(stalePath))
+      .forEach((stalePath) => fs.unlinkSync(stalePath));
+
+    return assetPath;
+
   } catch (fsError) {
     throw new Error(`Failed to save asset: ${fsError.message}`);
   }
@@ -166,7 +291,7 @@ const findProductAssets = (productName) => {
   }
 
   try {
-    const assetsDir = path.join(__dirname, '..', '..', 'inputs', 'assets', productName);
+    const assetsDir = path.join(inputAssetsDir, productName);
     
     if (!fs.existsSync(assetsDir)) {
       return [];
@@ -189,4 +314,167 @@ const findProductAssets = (productName) => {
   }
 };
 
-module.exports = { loadBrief, checkAssetExists, saveAsset, findProductAssets };
+/**
+ * Writes a brand compliance report next to the asset it describes.
+ * @param {string} campaignName - Name of the campaign.
+ * @param {string} productName - Name of the product.
+ * @param {string} placementName - Name of the placement.
+ * @param {object} report - The compliance report.
+ * @param {string|null} [locale] - Locale folder the report is written to, next to the asset.
+ * @returns {string} Path to the written report.
+ * @throws {Error} If parameters are invalid or file operations fail.
+ */
+const saveComplianceReport = (campaignName, productName, placementName, report, locale = null) => {
+  if (!campaignName || typeof campaignName !== 'string') {
+    throw new Error('Campaign name must be a non-empty string.');
+  }
+
+  if (!productName || typeof productName !== 'string') {
+    throw new Error('Product name must be a non-empty string.');
+  }
+
+  if (!placementName || typeof placementName !== 'string') {
+    throw new Error('Placement name must be a non-empty string.');
+  }
+
+  try {
+    const dir = ensureOutputDir(campaignName, placementName, locale);
+    const reportPath = path.join(dir, `${productName}.compliance.json`);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    return reportPath;
+  } catch (fsError) {
+    throw new Error(`Failed to save compliance report: ${fsError.message}`);
+  }
+};
+
+/**
+ * Resolves a path relative to the inputs/assets directory.
+ * @param {string} relativePath - Path under inputs/assets (e.g., "brand/logo.png").
+ * @returns {string} The absolute path.
+ * @throws {Error} If the path is invalid or escapes the assets directory.
+ */
+const getInputAssetPath = (relativePath) => {
+  if (!relativePath || typeof relativePath !== 'string') {
+    throw new Error('Asset path must be a non-empty string.');
+  }
+
+  const resolved = path.resolve(inputAssetsDir, relativePath);
+  if (!resolved.startsWith(inputAssetsDir + path.sep)) {
+    throw new Error(`Asset path must stay within inputs/assets: ${relativePath}`);
+  }
+  return resolved;
+};
+
+/**
+ * Resolves the campaign brief file path, supporting both relative and absolute paths.
+ * Bare file names are looked up in inputs/briefs.
+ * @param {string} briefInput - The brief file path provided by the user.
+ * @returns {string} The resolved absolute path to the brief file.
+ */
+const resolveBriefPath = (briefInput) => {
+  if (path.isAbsolute(briefInput)) {
+    return briefInput;
+  }
+
+  if (briefInput.includes('/') || briefInput.includes('\\')) {
+    return path.resolve(briefInput);
+  }
+
+  return path.join(inputBriefsDir, briefInput);
+};
+
+/**
+ * Expands a brief argument into the brief files it refers to.
+ * Accepts a single file, a directory (every JSON/YAML file directly inside it) or a glob pattern.
+ * @param {string} briefInput - File, directory or glob provided by the user.
+ * @returns {string[]} Sorted absolute paths of the brief files.
+ * @throws {Error} If the directory or pattern contains no brief files.
+ */
+const resolveBriefPaths = (briefInput) => {
+  const isBriefFile = (filePath) => briefExtensions.includes(path.extname(filePath).toLowerCase());
+
+  if (hasMagic(briefInput, { windowsPathsNoEscape: true })) {
+    const matches = globSync(briefInput, {
+      absolute: true,
+      nodir: true,
+      windowsPathsNoEscape: true,
+    })
+      .filter(isBriefFile)
+      .sort();
+    if (matches.length === 0) {
+      throw new Error(`No brief files match pattern: ${briefInput}`);
+    }
+    return matches;
+  }
+
+  const resolved = resolveBriefPath(briefInput);
+  if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+    const briefs = fs
+      .readdirSync(resolved)
+      .filter(isBriefFile)
+      .map((file) => path.join(resolved, file))
+      .filter((filePath) => fs.statSync(filePath).isFile())
+      .sort();
+    if (briefs.length === 0) {
+      throw new Error(`No brief files (.json, .yaml, .yml) found in directory: ${resolved}`);
+    }
+    return briefs;
+  }
+
+  return [resolved];
+};
+
+/**
+ * Saves a brief submitted to the HTTP service so it can be validated and run like a brief file.
+ * Submitted briefs are kept under outputs/.jobs/<jobId>/.
+ * @param {string} jobId - ID of the job the brief belongs to.
+ * @param {string} text - The brief as received.
+ * @param {string} extension - File extension matching its format (".json" or ".yaml").
+ * @returns {string} Absolute path of the saved brief.
+ * @throws {Error} If the file cannot be written.
+ */
+const saveSubmittedBrief = (jobId, text, extension) => {
+  const dir = path.join(outputsDir, '.jobs', jobId);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const briefPath = path.join(dir, `brief${extension}`);
+    fs.writeFileSync(briefPath, text);
+    return briefPath;
+  } catch (fsError) {
+    throw new Error(`Failed to save submitted brief: ${fsError.message}`);
+  }
+};
+
+/**
+ * Resolves a path relative to a campaign's output directory.
+ * @param {string} campaignName - Name of the campaign.
+ * @param {string} relativePath - Path under the campaign directory (e.g., "en/stories-reels/productA.png").
+ * @returns {string} The absolute path.
+ * @throws {Error} If the path escapes the campaign directory or names a hidden file.
+ */
+const getCampaignFilePath = (campaignName, relativePath) => {
+  const root = getCampaignOutputDir(campaignName);
+  const resolved = path.resolve(root, relativePath);
+  if (
+    !resolved.startsWith(root + path.sep) ||
+    relativePath.split('/').some((part) => part.startsWith('.'))
+  ) {
+    throw new Error(`File path must stay within the campaign output directory: ${relativePath}`);
+  }
+  return resolved;
+};
+
+module.exports = {
+  loadBrief,
+  resolveBriefPath,
+  resolveBriefPaths,
+  saveAsset,
+  getAssetPath,
+  findAsset,
+  findProductAssets,
+  saveComplianceReport,
+  getInputAssetPath,
+  getCampaignOutputDir,
+  saveSubmittedBrief,
+  getCampaignFilePath,
+};
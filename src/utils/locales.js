@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const i18next = require('i18next');
+const config = require('../config');
+
+const COPY_FIELDS = ['campaignMessage', 'callToAction'];
+const PLACEHOLDER = /{{-?\s*([\w.]+)\s*(?:,[^}]*)?}}/g;
+let cachedResources = null;
+
+/**
+ * Loads every locale file (e.g., en.json, pt-BR.json) from the configured locales directory.
+ * Each file holds a "translation" namespace; the file name is the locale code.
+ * @returns {object} i18next resources keyed by locale.
+ * @throws {Error} If the directory or a locale file cannot be read.
+ */
+const loadLocaleResources = () => {
+  if (cachedResources) {
+    return cachedResources;
+  }
+
+  const localesDir = config.locales.dir;
+  let files;
+  try {
+    files = fs
+      .readdirSync(localesDir)
+      .filter((file) => path.extname(file).toLowerCase() === '.json');
+  } catch (readError) {
+    throw new Error(`Unable to read locales directory ${localesDir}: ${readError.message}`);
+  }
+
+  cachedResources = Object.fromEntries(
+    files.sort().map((file) => {
+      const filePath = path.join(localesDir, file);
+      try {
+        const contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return [
+          path.basename(file, path.extname(file)),
+          { translation: contents.translation || {} },
+        ];
+      } catch (parseError) {
+        throw new Error(`Unable to load locale file ${filePath}: ${parseError.message}`);
+      }
+    })
+  );
+  return cachedResources;
+};
+
+/**
+ * Lists the locales that have a file in the locales directory.
+ * @returns {string[]} Locale codes.
+ */
+const listLocales = () => Object.keys(loadLocaleResources());
+
+/**
+ * Initializes i18next with every discovered locale.
+ * Interpolated values are not HTML-escaped because copy is rendered onto images, not into markup.
+ * @returns {object} The initialized i18next instance.
+ */
+const initI18n = () => {
+  if (!i18next.isInitialized) {
+    i18next.init({
+      lng: config.locales.defaultLocale,
+      fallbackLng: config.locales.defaultLocale,
+      interpolation: { escapeValue: false },
+      resources: loadLocaleResources(),
+    });
+  }
+  return i18next;
+};
+
+/**
+ * Builds the values available to campaign copy interpolation for a product.
+ * Built-in fields come first; the brief's copyValues and then the product's copyValues override them.
+ * A numeric "count" value selects the plural form.
+ * @param {object} brief - The campaign brief.
+ * @param {object} [product] - The product the copy is rendered for.
+ * @returns {object} Interpolation values.
+ */
+const getCopyValues = (brief, product = null) => ({
+  campaignName: brief.campaignName,
+  targetRegion: brief.targetRegion,
+  targetAudience: brief.targetAudience,
+  ...(product ? { productName: product.name, productDescription: product.description } : {}),
+  ...(brief.copyValues || {}),
+  ...((product && product.copyValues) || {}),
+});
+
+/**
+ * Finds the raw translation a key resolves to in one locale, without falling back to other locales.
+ * Plural keys (key_one, key_other, ...) are chosen with the locale's plural rules when count is a number.
+ * @param {string} locale - Locale code.
+ * @param {string} key - Translation key.
+ * @param {*} count - The "count" interpolation value, if any.
+ * @returns {*} The translation, or undefined when the locale lacks the key.
+ */
+const findTranslation = (locale, key, count) => {
+  const lookup = (resourceKey) => i18next.getResource(locale, 'translation', resourceKey);
+  if (typeof count === 'number') {
+    const plural =
+      lookup(`${key}_${new Intl.PluralRules(locale).select(count)}`) ?? lookup(`${key}_other`);
+    if (plural !== undefined) {
+      return plural;
+    }
+  }
+  return lookup(key);
+};
+
+/**
+ * Checks that every locale translates the brief's copy keys and that each translation's
+ * {{placeholders}} have values for every product.
+ * @param {object} brief - The campaign brief.
+ * @param {string[]} locales - Locales to check.
+ * @returns {object[]} Problems with locale, field, key, product (null when not product-specific) and message.
+ */
+const checkTranslations = (brief, locales) => {
+  initI18n();
+  const problems = new Map();
+  const report = (problem) => problems.set(problem.message, problem);
+
+  COPY_FIELDS.filter((field) => brief[field]).forEach((field) => {
+    const key = brief[field];
+    locales.forEach((locale) => {
+      brief.products.forEach((product) => {
+        const values = getCopyValues(brief, product);
+        const translation = findTranslation(locale, key, values.count);
+
+        if (translation === undefined) {
+          report({
+            locale,
+            field,
+            key,
+            product: null,
+            message: `${locale}: missing translation for ${field} key "${key}".`,
+          });
+          return;
+        }
+        if (typeof translation !== 'string') {
+          report({
+            locale,
+            field,
+            key,
+            product: null,
+            message: `${locale}: ${field} key "${key}" is not a string.`,
+          });
+          return;
+        }
+
+        [...translation.matchAll(PLACEHOLDER)]
+          .map((match) => match[1].split('.')[0])
+          .filter((name) => values[name] === undefined)
+          .forEach((name) => {
+            report({
+              locale,
+              field,
+              key,
+              product: product.name,
+              message: `${locale}: ${field} "${key}" uses {{${name}}}, but no value is set for ${product.name}.`,
+            });
+          });
+      });
+    });
+  });
+
+  return [...problems.values()];
+};
+
+/**
+ * Splits locale arguments such as ["en,es", "fr"] into a de-duplicated list.
+ * @param {string|string[]} [value] - Raw --lang value(s).
+ * @returns {string[]|null} Locale codes, or null when none are given.
+ */
+const parseLocaleList = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const locales = [value]
+    .flat()
+    .flatMap((entry) => String(entry).split(','))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  return locales.length > 0 ? [...new Set(locales)] : null;
+};
+
+/**
+ * Checks that every requested locale has a locale file.
+ * @param {string[]} locales - Requested locale codes.
+ * @returns {string[]} The same locales.
+ * @throws {Error} If any locale is unknown.
+ */
+const assertLocalesAvailable = (locales) => {
+  const available = listLocales();
+  const missing = locales.filter((locale) => !available.includes(locale));
+  if (missing.length > 0) {
+    throw new Error(
+      `No locale file for: ${missing.join(', ')}. Available locales in ${config.locales.dir}: ${available.join(', ')}`
+    );
+  }
+  return locales;
+};
+
+module.exports = {
+  listLocales,
+  initI18n,
+  getCopyValues,
+  findTranslation,
+  checkTranslations,
+  parseLocaleList,
+  assertLocalesAvailable,
+};
@@ -1,73 +1,210 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+const logContext = new AsyncLocalStorage();
+
+let settings = { ...config.logging };
+let logFile = null;
+
 /**
- * Logs an informational message with timestamp.
- * @param {string} message - The message to log.
+ * Opens the log file for appending, creating its directory, and records its current size for rotation.
+ * @param {string} filePath - Path of the log file.
+ * @returns {{path: string, size: number}} The open log file state.
+ * @throws {Error} If the directory cannot be created.
  */
-const log = (message) => {
-  if (typeof message !== 'string') {
-    message = String(message);
-  }
-  console.log(`[INFO] ${new Date().toISOString()} - ${message}`);
+const openLogFile = (filePath) => {
+  fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  return { path: filePath, size: fs.existsSync(filePath) ? fs.statSync(filePath).size : 0 };
 };
 
 /**
- * Logs an error message with timestamp.
- * @param {string} message - The error message to log.
+ * Rotates the log file: app.log becomes app.log.1, app.log.1 becomes app.log.2 and so on,
+ * dropping the oldest file beyond maxFiles.
  */
-const error = (message) => {
-  if (typeof message !== 'string') {
-    message = String(message);
+const rotateLogFile = () => {
+  const { maxFiles } = settings;
+  for (let index = maxFiles - 1; index >= 1; index--) {
+    const source = `${logFile.path}.${index}`;
+    if (fs.existsSync(source)) {
+      fs.renameSync(source, `${logFile.path}.${index + 1}`);
+    }
+  }
+  if (fs.existsSync(logFile.path)) {
+    fs.renameSync(logFile.path, `${logFile.path}.1`);
   }
-  console.error(`[ERROR] ${new Date().toISOString()} - ${message}`);
+  logFile.size = 0;
 };
 
 /**
- * Logs a warning message with timestamp.
- * @param {string} message - The warning message to log.
+ * Appends a line to the log file, rotating first when it would exceed the size limit.
+ * A failing log file is reported once on stderr and then disabled, so logging never stops a run.
+ * @param {string} line - The formatted line, without a trailing newline.
  */
-const warn = (message) => {
-  if (typeof message !== 'string') {
-    message = String(message);
+const writeToFile = (line) => {
+  if (!logFile) {
+    return;
+  }
+  try {
+    const bytes = Buffer.byteLength(line) + 1;
+    if (logFile.size > 0 && logFile.size + bytes > settings.maxFileSizeMB * 1024 * 1024) {
+      rotateLogFile();
+    }
+    fs.appendFileSync(logFile.path, `${line}\n`);
+    logFile.size += bytes;
+  } catch (fileError) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Log file disabled: ${fileError.message}`);
+    logFile = null;
   }
-  console.warn(`[WARN] ${new Date().toISOString()} - ${message}`);
 };
 
 /**
- * Logs a debug message with timestamp (only in development mode).
- * @param {string} message - The debug message to log.
+ * Applies logging settings; unset values keep their current (initially configured) value.
+ * @param {object} [options] - Logging options.
+ * @param {string} [options.level] - Minimum level to emit: debug, info, warn or error.
+ * @param {string} [options.format] - Line format: text or json.
+ * @param {string|null} [options.file] - Log file path, in addition to the console; null disables it.
+ * @param {number} [options.maxFileSizeMB] - Size at which the log file is rotated.
+ * @param {number} [options.maxFiles] - Rotated files to keep.
+ * @throws {Error} If the level or format is unknown or the log file directory cannot be created.
  */
-const debug = (message) => {
-  if (process.env.NODE_ENV !== 'production') {
-    if (typeof message !== 'string') {
-      message = String(message);
+const configureLogger = (options = {}) => {
+  const next = { ...settings };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) {
+      next[key] = value;
     }
-    console.debug(`[DEBUG] ${new Date().toISOString()} - ${message}`);
+  });
+
+  if (!LEVELS[next.level]) {
+    throw new Error(
+      `Unknown log level "${next.level}". Use one of: ${Object.keys(LEVELS).join(', ')}`
+    );
+  }
+  if (!FORMATS.includes(next.format)) {
+    throw new Error(`Unknown log format "${next.format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+  if (!(next.maxFileSizeMB > 0) || !Number.isInteger(next.maxFiles) || next.maxFiles < 1) {
+    throw new Error(
+      'Log file rotation needs a positive maxFileSizeMB and at least one file to keep.'
+    );
+  }
+
+  settings = next;
+  logFile = settings.file ? openLogFile(settings.file) : null;
+};
+
+/**
+ * Runs a function with correlation fields (e.g., campaign, runId, product, placement, requestId) attached to
+ * every line it logs, including from async work it starts. Fields merge with the enclosing context;
+ * a field set to undefined is removed.
+ * @param {object} fields - Correlation fields to add.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The function's return value.
+ */
+const withLogContext = (fields, fn) =>
+  logContext.run({ ...(logContext.getStore() || {}), ...fields }, fn);
+
+/**
+ * Returns the correlation fields of the current context.
+ * @returns {object} The fields, or an empty object outside any context.
+ */
+const getLogContext = () => ({ ...(logContext.getStore() || {}) });
+
+/**
+ * Formats and emits one log line to the console and the log file when its level passes the filter.
+ * @param {string} level - debug, info, warn or error.
+ * @param {*} message - The message; non-strings are converted.
+ * @param {object} [fields] - Extra fields for JSON lines (e.g., error details).
+ */
+const emit = (level, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[settings.level]) {
+    return;
+  }
+
+  const text = typeof message === 'string' ? message : String(message);
+  const timestamp = new Date().toISOString();
+  const line =
+    settings.format === 'json'
+      ? JSON.stringify({ timestamp, level, message: text, ...getLogContext(), ...fields })
+      : `[${level.toUpperCase()}] ${timestamp} - ${text}`;
+
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else if (level === 'debug') {
+    console.debug(line);
+  } else {
+    console.log(line);
   }
+  writeToFile(line);
 };
 
+/**
+ * Logs an informational message with timestamp.
+ * @param {string} message - The message to log.
+ */
+const log = (message) => emit('info', message);
+
+/**
+ * Logs an error message with timestamp.
+ * @param {string} message - The error message to log.
+ */
+const error = (message) => emit('error', message);
+
+/**
+ * Logs a warning message with timestamp.
+ * @param {string} message - The warning message to log.
+ */
+const warn = (message) => emit('warn', message);
+
+/**
+ * Logs a debug message with timestamp (only with --log-level debug).
+ * @param {string} message - The debug message to log.
+ */
+const debug = (message) => emit('debug', message);
+
 /**
  * Logs detailed error information including stack trace.
+ * JSON lines carry the stack, code and HTTP status as fields; text output prints them on separate lines.
  * @param {Error} err - The error object to log.
  * @param {string} context - Additional context about where the error occurred.
  */
 const logError = (err, context = '') => {
-  const timestamp = new Date().toISOString();
   const contextStr = context ? ` (${context})` : '';
-  
-  console.error(`[ERROR] ${timestamp}${contextStr} - ${err.message}`);
-  
+
+  if (settings.format === 'json') {
+    emit('error', `${err.message}${contextStr}`, {
+      stack: err.stack,
+      errorCode: err.code,
+      httpStatus: err.statusCode,
+    });
+    return;
+  }
+
+  emit('error', `${err.message}${contextStr}`);
   if (err.stack && process.env.NODE_ENV !== 'production') {
-    console.error(`[ERROR] ${timestamp} - Stack trace:`);
-    console.error(err.stack);
+    emit('error', `Stack trace:\n${err.stack}`);
   }
-  
-  // Log additional error properties if they exist
   if (err.code) {
-    console.error(`[ERROR] ${timestamp} - Error code: ${err.code}`);
+    emit('error', `Error code: ${err.code}`);
   }
-  
   if (err.statusCode) {
-    console.error(`[ERROR] ${timestamp} - HTTP status: ${err.statusCode}`);
+    emit('error', `HTTP status: ${err.statusCode}`);
   }
 };
 
-module.exports = { log, error, warn, debug, logError };
+module.exports = {
+  log,
+  error,
+  warn,
+  debug,
+  logError,
+  configureLogger,
+  withLogContext,
+  getLogContext,
+};
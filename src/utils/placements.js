@@ -0,0 +1,232 @@
+const fs = require('fs');
+const Jimp = require('jimp');
+const config = require('../config');
+
+const PLACEMENT_NAME = /^[A-Za-z0-9_-]+$/;
+const SAFE_ZONE_SIDES = ['top', 'right', 'bottom', 'left'];
+let cachedCatalog = null;
+
+/**
+ * Checks one catalog entry and returns the problems found.
+ * @param {string} name - Placement name.
+ * @param {object} entry - The catalog entry.
+ * @returns {string[]} Problems; empty when the entry is valid.
+ */
+const checkPlacementEntry = (name, entry) => {
+  const problems = [];
+  if (!PLACEMENT_NAME.test(name)) {
+    problems.push('name may only use letters, numbers, "-" and "_"');
+  }
+  if (!entry || typeof entry !== 'object') {
+    return [...problems, 'must be an object'];
+  }
+  ['width', 'height'].forEach((dimension) => {
+    if (!Number.isInteger(entry[dimension]) || entry[dimension] < 1) {
+      problems.push(`${dimension} must be a positive integer`);
+    }
+  });
+  if (typeof entry.aspectRatio !== 'string' || !entry.aspectRatio.includes(':')) {
+    problems.push('aspectRatio must look like "9:16"');
+  }
+  if (entry.safeZone) {
+    SAFE_ZONE_SIDES.filter((side) => entry.safeZone[side] !== undefined)
+      .filter(
+        (side) =>
+          typeof entry.safeZone[side] !== 'number' ||
+          entry.safeZone[side] < 0 ||
+          entry.safeZone[side] >= 0.5
+      )
+      .forEach((side) => problems.push(`safeZone.${side} must be a fraction between 0 and 0.5`));
+  }
+  if (
+    entry.maxFileSizeKB !== undefined &&
+    (typeof entry.maxFileSizeKB !== 'number' || entry.maxFileSizeKB <= 0)
+  ) {
+    problems.push('maxFileSizeKB must be a positive number');
+  }
+  if (entry.generationRatio !== undefined && !config.sizeMap[entry.generationRatio]) {
+    problems.push(`generationRatio must be one of ${Object.keys(config.sizeMap).join(', ')}`);
+  }
+  return problems;
+};
+
+/**
+ * Loads and validates the placement catalog (pixel size, safe zones and file size limit per placement).
+ * @returns {object} Catalog entries keyed by placement name.
+ * @throws {Error} If the catalog cannot be read or an entry is invalid.
+ */
+const loadPlacementCatalog = () => {
+  if (cachedCatalog) {
+    return cachedCatalog;
+  }
+
+  const { catalogPath } = config.placements;
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  } catch (readError) {
+    throw new Error(`Unable to load placement catalog from ${catalogPath}: ${readError.message}`);
+  }
+
+  const problems = Object.entries(catalog).flatMap(([name, entry]) =>
+    checkPlacementEntry(name, entry).map((problem) => `${name}: ${problem}`)
+  );
+  if (problems.length > 0) {
+    throw new Error(`Invalid placement catalog ${catalogPath}:\n${problems.join('\n')}`);
+  }
+
+  cachedCatalog = catalog;
+  return cachedCatalog;
+};
+
+/**
+ * Lists the placements defined in the catalog.
+ * @returns {string[]} Placement names.
+ */
+const listPlacements = () => Object.keys(loadPlacementCatalog());
+
+/**
+ * Picks the provider size to generate a placement from: the closest aspect ratio among the sizes
+ * large enough to cover the placement without upscaling, or the least-upscaled size when none is.
+ * @param {{width: number, height: number}} placement - Target pixel size.
+ * @returns {string} An aspect ratio key of config.sizeMap.
+ */
+const chooseGenerationRatio = ({ width, height }) => {
+  const options = Object.entries(config.sizeMap).map(([ratio, size]) => ({
+    ratio,
+    upscale: Math.max(width / size.width, height / size.height),
+    distance: Math.abs(Math.log(size.width / size.height) - Math.log(width / height)),
+  }));
+  const covering = options.filter((option) => option.upscale <= 1);
+  const best =
+    covering.length > 0
+      ? covering.reduce((a, b) => (b.distance < a.distance ? b : a))
+      : options.reduce((a, b) => (b.upscale < a.upscale ? b : a));
+  return best.ratio;
+};
+
+/**
+ * Resolves a placement by name.
+ * @param {string} name - Placement name (e.g., "stories-reels").
+ * @returns {object} Placement with name, label, aspectRatio, width, height, safeZone, maxFileSizeKB and generationRatio.
+ * @throws {Error} If the placement is not in the catalog.
+ */
+const getPlacement = (name) => {
+  const catalog = loadPlacementCatalog();
+  const entry = catalog[name];
+  if (!entry) {
+    throw new Error(
+      `Unknown placement "${name}". Available placements: ${Object.keys(catalog).join(', ')}`
+    );
+  }
+  return {
+    name,
+    label: entry.label || name,
+    aspectRatio: entry.aspectRatio,
+    width: entry.width,
+    height: entry.height,
+    safeZone: entry.safeZone || null,
+    maxFileSizeKB: entry.maxFileSizeKB ?? null,
+    generationRatio: entry.generationRatio || chooseGenerationRatio(entry),
+  };
+};
+
+/**
+ * Builds a placement for a legacy aspectRatios entry: the provider's size for that ratio, named like "16x9".
+ * @param {string} aspectRatio - Aspect ratio (e.g., "16:9").
+ * @returns {object} The placement.
+ * @throws {Error} If the ratio has no provider size.
+ */
+const getAspectRatioPlacement = (aspectRatio) => {
+  const size = config.sizeMap[aspectRatio];
+  if (!size) {
+    throw new Error(
+      `Unsupported aspect ratio: ${aspectRatio}. Supported ratios: ${Object.keys(config.sizeMap).join(', ')}`
+    );
+  }
+  return {
+    name: aspectRatio.replace(':', 'x'),
+    label: `Aspect ratio ${aspectRatio}`,
+    aspectRatio,
+    width: size.width,
+    height: size.height,
+    safeZone: null,
+    maxFileSizeKB: null,
+    generationRatio: aspectRatio,
+  };
+};
+
+/**
+ * Resolves the placements to produce for a product: the product's placements, then the brief's,
+ * then the brief's legacy aspectRatios, then config.placements.defaults.
+ * @param {object} product - The product object from the brief.
+ * @param {object} brief - The campaign brief.
+ * @returns {object[]} Placements.
+ * @throws {Error} If a placement or aspect ratio is unknown.
+ */
+const resolvePlacements = (product, brief) => {
+  const names = product.placements || brief.placements;
+  if (names) {
+    return names.map(getPlacement);
+  }
+  if (brief.aspectRatios) {
+    return brief.aspectRatios.map(getAspectRatioPlacement);
+  }
+  return config.placements.defaults.map(getPlacement);
+};
+
+/**
+ * Scales and center-crops an image to exactly fill the placement's pixel size.
+ * @param {Buffer} imageData - The generated image.
+ * @param {object} placement - Target placement.
+ * @returns {Promise<Buffer>} PNG data at the placement size, or the input when it already matches.
+ * @throws {Error} If the image cannot be decoded.
+ */
+const fitToPlacement = async (imageData, placement) => {
+  let image;
+  try {
+    image = await Jimp.read(imageData);
+  } catch (readError) {
+    throw new Error(`Unable to decode image for placement ${placement.name}: ${readError.message}`);
+  }
+
+  if (image.bitmap.width === placement.width && image.bitmap.height === placement.height) {
+    return imageData;
+  }
+  image.cover(placement.width, placement.height);
+  return image.getBufferAsync(Jimp.MIME_PNG);
+};
+
+/**
+ * Encodes the final asset within the placement's file size limit. PNG is kept when it fits;
+ * otherwise JPEG is tried at decreasing quality.
+ * @param {Buffer} imageData - PNG data at the placement size.
+ * @param {object} placement - Target placement.
+ * @returns {Promise<{data: Buffer, extension: string}>} The encoded image and its file extension.
+ * @throws {Error} If no encoding fits the limit.
+ */
+const encodeForPlacement = async (imageData, placement) => {
+  const limit = placement.maxFileSizeKB ? placement.maxFileSizeKB * 1024 : Infinity;
+  if (imageData.length <= limit) {
+    return { data: imageData, extension: 'png' };
+  }
+
+  const image = await Jimp.read(imageData);
+  for (const quality of config.placements.jpegQualities) {
+    const data = await image.quality(quality).getBufferAsync(Jimp.MIME_JPEG);
+    if (data.length <= limit) {
+      return { data, extension: 'jpg' };
+    }
+  }
+  throw new Error(
+    `Image for placement ${placement.name} exceeds the ${placement.maxFileSizeKB} KB limit even as JPEG at quality ${Math.min(...config.placements.jpegQualities)}.`
+  );
+};
+
+module.exports = {
+  listPlacements,
+  getPlacement,
+  resolvePlacements,
+  fitToPlacement,
+  encodeForPlacement,
+};
@@ -1,34 +1,134 @@
+const fs = require('fs');
+const config = require('../config');
+const { loadPromptTemplate, getPromptTemplateName, renderTemplate } = require('./promptTemplates');
+
+const SCENE_FIELDS = ['scene', 'environment', 'lighting', 'mood', 'composition', 'negativePrompt'];
+let cachedPresets = null;
+let cachedCatalog = null;
+
+/**
+ * Loads the audience/region style catalog from the configured catalog file.
+ * @returns {object} Catalog with default, audiences and regions sections.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+const loadStyleCatalog = () => {
+  if (cachedCatalog) {
+    return cachedCatalog;
+  }
+
+  const catalogPath = config.audienceStyles.catalogPath;
+  try {
+    cachedCatalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+  } catch (readError) {
+    throw new Error(
+      `Unable to load audience style catalog from ${catalogPath}: ${readError.message}`
+    );
+  }
+  return cachedCatalog;
+};
+
+/**
+ * Finds a catalog entry by name, ignoring case and surrounding whitespace.
+ * @param {object} [entries] - Catalog entries keyed by name.
+ * @param {string} [name] - The name to look up.
+ * @returns {object|null} The entry, or null if absent.
+ */
+const findEntry = (entries, name) => {
+  if (!entries || typeof name !== 'string') {
+    return null;
+  }
+  const normalized = name.toLowerCase().trim();
+  const key = Object.keys(entries).find((entryName) => entryName.toLowerCase() === normalized);
+  return key ? entries[key] : null;
+};
+
+/**
+ * Checks whether the style catalog defines an audience.
+ * @param {string} audience - The target audience from the brief.
+ * @returns {boolean} True if the audience has a catalog entry.
+ */
+const isKnownAudience = (audience) => Boolean(findEntry(loadStyleCatalog().audiences, audience));
+
 /**
- * Translates high-level audience descriptions into specific visual styles.
+ * Lists the audiences defined in the style catalog.
+ * @returns {string[]} Audience names.
+ */
+const listAudiences = () => Object.keys(loadStyleCatalog().audiences || {});
+
+/**
+ * Combines audience and region into the visual direction for a prompt.
+ * The audience-in-region entry overrides the audience's style and color preferences;
+ * visual cues and cultural notes from the region, audience and audience-in-region entries accumulate.
+ * Unknown audiences fall back to the catalog default.
  * @param {string} audience - The target audience from the brief (e.g., 'Gen Z').
- * @returns {string} A descriptive string for the prompt.
+ * @param {string} [region] - The target region from the brief (e.g., 'JP').
+ * @returns {object} Style with style, visualCues, culturalNotes and colorPreferences.
  * @throws {Error} If audience parameter is invalid.
  */
-const getAudienceStyle = (audience) => {
+const getAudienceStyle = (audience, region) => {
   if (!audience || typeof audience !== 'string') {
     throw new Error('Audience must be a non-empty string.');
   }
 
-  const audienceMap = {
-    'gen z': 'authentic and candid, with a vibrant, energetic feel like user-generated content',
-    'affluent professionals': 'aspirational, elegant, and clean with a sophisticated and minimalist aesthetic',
-    'families': 'warm, inviting, and relatable, showing a happy, candid moment',
-    'young adults': 'trendy, dynamic, and lifestyle-focused with contemporary appeal',
-    'seniors': 'comfortable, trustworthy, and approachable with classic sensibilities',
-    'professionals': 'polished, confident, and business-focused with clean lines'
+  const catalog = loadStyleCatalog();
+  const audienceEntry = findEntry(catalog.audiences, audience) || {};
+  const regionEntry = findEntry(catalog.regions, region) || {};
+  const localEntry = findEntry(audienceEntry.regions, region) || {};
+  const unique = (...lists) => [...new Set(lists.flat().filter(Boolean))];
+
+  return {
+    style:
+      localEntry.style || audienceEntry.style || catalog.default?.style || 'modern and appealing',
+    visualCues: unique(audienceEntry.visualCues || [], localEntry.visualCues || []),
+    culturalNotes: unique(regionEntry.culturalNotes || [], localEntry.culturalNotes || []),
+    colorPreferences:
+      localEntry.colorPreferences ||
+      regionEntry.colorPreferences ||
+      audienceEntry.colorPreferences ||
+      [],
   };
+};
+
+/**
+ * Loads the built-in scene presets from the configured presets file.
+ * @returns {object} Presets keyed by name.
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+const loadBuiltInPresets = () => {
+  if (cachedPresets) {
+    return cachedPresets;
+  }
 
-  const normalizedAudience = audience.toLowerCase().trim();
-  return audienceMap[normalizedAudience] || 'modern and appealing'; // Safe default
+  const presetsPath = config.scenes.presetsPath;
+  try {
+    cachedPresets = JSON.parse(fs.readFileSync(presetsPath, 'utf8'));
+  } catch (readError) {
+    throw new Error(`Unable to load scene presets from ${presetsPath}: ${readError.message}`);
+  }
+  return cachedPresets;
 };
 
 /**
- * Generates scene-specific details based on product characteristics.
+ * Returns every scene preset available to a brief: the built-in presets plus the brief's own.
+ * A brief preset with the same name as a built-in one replaces it.
+ * @param {object} [brief] - The campaign brief.
+ * @returns {object} Presets keyed by name.
+ */
+const getScenePresets = (brief = {}) => ({
+  ...loadBuiltInPresets(),
+  ...(brief.scenePresets || {}),
+});
+
+/**
+ * Resolves the scene direction for a product.
+ * Fields are layered: the built-in default preset, the brief's default preset (if it redefines it),
+ * the product's named preset, then fields set on the product itself.
  * @param {object} product - The product object from the brief.
- * @returns {object} Scene details including setting, lighting, and mood.
- * @throws {Error} If product is invalid.
+ * @param {object} [brief] - The campaign brief, for brief-defined presets.
+ * @returns {object} Scene direction with scene, environment, lighting, mood, composition and negativePrompt.
+ * @throws {Error} If product is invalid or references an unknown preset.
  */
-const getSceneDetails = (product) => {
+const getSceneDetails = (product, brief = {}) => {
   if (!product || typeof product !== 'object') {
     throw new Error('Product must be a valid object.');
   }
@@ -37,35 +137,38 @@ const getSceneDetails = (product) => {
     throw new Error('Product must have a valid name property.');
   }
 
-  // Default scene details
-  const defaultDetails = {
-    scene: 'elegantly positioned on a clean, modern surface',
-    environment: 'neutral, professionally lit studio setting',
-    lighting: 'soft, even lighting that highlights the product features',
-    mood: 'clean and professional'
+  const presets = getScenePresets(brief);
+  const defaults = {
+    ...loadBuiltInPresets()[config.scenes.defaultPreset],
+    ...presets[config.scenes.defaultPreset],
   };
+  if (!defaults.scene) {
+    throw new Error(`Default scene preset "${config.scenes.defaultPreset}" is not defined.`);
+  }
 
-  // Product-specific customizations
-  const productDetails = {
-    'productA': {
-      scene: 'on the edge of a vibrant, colorful poolside table',
-      environment: 'bright, sunny backyard with a pool softly blurred in the background',
-      lighting: 'bright, direct afternoon sun creating crisp, playful shadows',
-      mood: 'energetic summer fun'
-    },
-    'productB': {
-      scene: 'resting elegantly on a modern wooden table next to a laptop',
-      environment: 'stylish, minimalist home office with soft, out-of-focus decor',
-      lighting: 'soft, diffused morning light from a large window',
-      mood: 'calm productivity and sophistication'
+  let preset = {};
+  if (product.scenePreset) {
+    preset = presets[product.scenePreset];
+    if (!preset) {
+      throw new Error(
+        `Unknown scene preset "${product.scenePreset}" for ${product.name}. Available presets: ${Object.keys(presets).join(', ')}`
+      );
     }
-  };
+  }
 
-  return productDetails[product.name] || defaultDetails;
+  const overrides = Object.fromEntries(
+    SCENE_FIELDS.filter((field) => product[field] !== undefined).map((field) => [
+      field,
+      product[field],
+    ])
+  );
+  const direction = { ...defaults, ...preset, ...overrides };
+
+  return Object.fromEntries(SCENE_FIELDS.map((field) => [field, direction[field] || null]));
 };
 
 /**
- * Generates a detailed, structured prompt for the Firefly API.
+ * Generates a detailed, structured prompt for the Firefly API from the product's prompt template.
  * @param {object} product - The product object from the brief.
  * @param {object} brief - The entire campaign brief object.
  * @param {string} campaignMessage - The localized campaign message.
@@ -98,38 +201,58 @@ const generateDetailedPrompt = (product, brief, campaignMessage) => {
     throw new Error('Campaign message must be a non-empty string.');
   }
 
-  try {
-    const audienceStyle = getAudienceStyle(brief.targetAudience);
-    const sceneDetails = getSceneDetails(product);
-
-    // Sanitize campaign message to prevent injection issues
-    const sanitizedMessage = campaignMessage.replace(/[<>{}]/g, '');
+  const audienceStyle = getAudienceStyle(brief.targetAudience, brief.targetRegion);
+  const sceneDetails = getSceneDetails(product, brief);
 
-    const template = `(Core Subject & Action): An advertising photo of a ${product.description}. The product is ${sceneDetails.scene}.
+  const audienceCues = [
+    ['Visual cues', audienceStyle.visualCues],
+    ['Cultural notes', audienceStyle.culturalNotes],
+    ['Preferred colors', audienceStyle.colorPreferences],
+  ]
+    .filter(([, values]) => values.length > 0)
+    .map(([heading, values]) => ` ${heading}: ${values.join('; ')}.`)
+    .join('');
 
-(Environment & Background): The setting is a ${sceneDetails.environment}.
+  // Sanitize campaign message to prevent injection issues
+  const sanitizedMessage = campaignMessage.replace(/[<>{}]/g, '');
 
-(Composition & Framing): Medium shot focusing on the product. The composition uses the rule of thirds, leaving some negative space.
-
-(Lighting & Mood): The lighting is ${sceneDetails.lighting}. This should evoke a feeling of ${sceneDetails.mood}.
-
-(Style & Quality): Photorealistic, professional commercial product photography. The image must be ultra-detailed, sharp focus, 4K, high resolution, with a shallow depth of field.
+  const templateName = getPromptTemplateName(product, brief);
+  const template = renderTemplate(
+    loadPromptTemplate(templateName),
+    {
+      productName: product.name,
+      productDescription: product.description,
+      scene: sceneDetails.scene,
+      environment: sceneDetails.environment,
+      composition: sceneDetails.composition,
+      lighting: sceneDetails.lighting,
+      mood: sceneDetails.mood,
+      targetAudience: brief.targetAudience,
+      targetRegion: brief.targetRegion,
+      audienceStyle: audienceStyle.style,
+      audienceCues,
+      campaignName: brief.campaignName,
+      campaignMessage: sanitizedMessage,
+    },
+    templateName
+  );
 
-(Audience & Campaign Cues): The overall aesthetic must appeal to ${brief.targetAudience} by feeling ${audienceStyle}. The visual story must subtly convey the message: '${sanitizedMessage}'.`;
+  // Validate the generated prompt
+  if (!template || template.trim().length < 50) {
+    throw new Error('Generated prompt is too short or empty.');
+  }
 
-    // Validate the generated prompt
-    if (!template || template.trim().length < 50) {
-      throw new Error('Generated prompt is too short or empty.');
-    }
+  if (template.length > 4000) {
+    throw new Error('Generated prompt is too long for the API.');
+  }
 
-    if (template.length > 4000) {
-      throw new Error('Generated prompt is too long for the API.');
-    }
+  return template;
+};
 
-    return template;
-  } catch (error) {
-    throw new Error(`Failed to generate prompt: ${error.message}`);
-  }
+module.exports = {
+  generateDetailedPrompt,
+  getSceneDetails,
+  getScenePresets,
+  isKnownAudience,
+  listAudiences,
 };
-  
-  module.exports = { generateDetailedPrompt };
\ No newline at end of file
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const TEMPLATE_NAME = /^[A-Za-z0-9_-]+$/;
+const PLACEHOLDER = /{{\s*(\w+)\s*}}/g;
+const cachedTemplates = new Map();
+
+/**
+ * Lists the prompt templates available in the configured templates directory.
+ * @returns {string[]} Template names (file names without the .txt extension).
+ */
+const listPromptTemplates = () => {
+  const templatesDir = config.promptTemplates.dir;
+  if (!fs.existsSync(templatesDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(templatesDir)
+    .filter((file) => path.extname(file).toLowerCase() === '.txt')
+    .map((file) => path.basename(file, path.extname(file)))
+    .sort();
+};
+
+/**
+ * Loads a prompt template by name from the templates directory.
+ * @param {string} name - Template name (e.g., "flat-illustration").
+ * @returns {string} The template text.
+ * @throws {Error} If the name is invalid or the template does not exist.
+ */
+const loadPromptTemplate = (name) => {
+  if (!name || typeof name !== 'string' || !TEMPLATE_NAME.test(name)) {
+    throw new Error(
+      `Invalid prompt template name "${name}". Use letters, numbers, "-" and "_" only.`
+    );
+  }
+
+  if (cachedTemplates.has(name)) {
+    return cachedTemplates.get(name);
+  }
+
+  const templatePath = path.join(config.promptTemplates.dir, `${name}.txt`);
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(
+      `Prompt template "${name}" not found in ${config.promptTemplates.dir}. Available templates: ${listPromptTemplates().join(', ')}`
+    );
+  }
+
+  const template = fs.readFileSync(templatePath, 'utf8');
+  cachedTemplates.set(name, template);
+  return template;
+};
+
+/**
+ * Selects the template for a product: the product's promptTemplate, then the brief's, then the default.
+ * @param {object} product - The product object from the brief.
+ * @param {object} brief - The campaign brief.
+ * @returns {string} The template name.
+ */
+const getPromptTemplateName = (product, brief) =>
+  product.promptTemplate || brief.promptTemplate || config.promptTemplates.defaultTemplate;
+
+/**
+ * Replaces {{placeholders}} in a template with the given values.
+ * Values are inserted as-is and are not scanned for further placeholders.
+ * @param {string} template - The template text.
+ * @param {object} values - Placeholder values keyed by name.
+ * @param {string} [name] - Template name for error messages.
+ * @returns {string} The rendered text, trimmed.
+ * @throws {Error} If the template uses a placeholder with no value.
+ */
+const renderTemplate = (template, values, name = 'template') => {
+  const unknown = [...template.matchAll(PLACEHOLDER)]
+    .map((match) => match[1])
+    .filter((placeholder) => !Object.prototype.hasOwnProperty.call(values, placeholder));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Prompt template "${name}" uses unknown placeholder(s): ${[...new Set(unknown)].join(', ')}. Available: ${Object.keys(values).join(', ')}`
+    );
+  }
+
+  return template
+    .replace(PLACEHOLDER, (match, placeholder) => String(values[placeholder] ?? ''))
+    .trim();
+};
+
+module.exports = { listPromptTemplates, loadPromptTemplate, getPromptTemplateName, renderTemplate };
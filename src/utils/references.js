@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { findProductAssets, getInputAssetPath } = require('./fileHandler');
+const { warn } = require('./logger');
+
+const ROLES = ['structure', 'style'];
+
+/**
+ * Parses an aspect ratio key (e.g., "16:9") into width divided by height.
+ * @param {string} aspectRatio - The aspect ratio.
+ * @returns {number} The ratio.
+ */
+const parseRatio = (aspectRatio) => {
+  const [width, height] = aspectRatio.split(':').map(Number);
+  return width / height;
+};
+
+/**
+ * Names the orientation of an image, treating anything within 5% of square as square.
+ * @param {number|null} ratio - Width divided by height, or null when unknown.
+ * @returns {string} 'landscape', 'portrait', 'square' or 'unknown'.
+ */
+const getOrientation = (ratio) => {
+  if (!ratio) {
+    return 'unknown';
+  }
+  if (ratio > 1.05) {
+    return 'landscape';
+  }
+  return ratio < 0.95 ? 'portrait' : 'square';
+};
+
+/**
+ * Reads the EXIF orientation of a JPEG from its APP1 segment.
+ * @param {Buffer} data - The APP1 segment payload, starting with "Exif".
+ * @returns {number} The orientation tag (1-8), or 1 when absent.
+ */
+const readExifOrientation = (data) => {
+  if (data.length < 14 || data.toString('latin1', 0, 6) !== 'Exif\0\0') {
+    return 1;
+  }
+  const tiff = data.subarray(6);
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const readShort = (offset) =>
+    littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  const readLong = (offset) =>
+    littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+  const directory = readLong(4);
+  if (directory + 2 > tiff.length) {
+    return 1;
+  }
+  const entries = readShort(directory);
+  for (let index = 0; index < entries; index++) {
+    const entry = directory + 2 + index * 12;
+    if (entry + 12 > tiff.length) {
+      break;
+    }
+    if (readShort(entry) === 0x0112) {
+      return readShort(entry + 8);
+    }
+  }
+  return 1;
+};
+
+/**
+ * Reads the pixel size of a PNG, JPEG or WebP image from its header, without decoding it. JPEGs whose EXIF
+ * orientation turns them by 90 degrees report their displayed size.
+ * @param {string} filePath - Path to the image.
+ * @returns {{width: number, height: number}} The size in pixels.
+ * @throws {Error} If the file cannot be read or its format is not recognized.
+ */
+const readImageSize = (filePath) => {
+  const data = fs.readFileSync(filePath);
+
+  if (data.length >= 24 && data.readUInt32BE(0) === 0x89504e47) {
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+  }
+
+  if (
+    data.length >= 30 &&
+    data.toString('latin1', 0, 4) === 'RIFF' &&
+    data.toString('latin1', 8, 12) === 'WEBP'
+  ) {
+    const chunk = data.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = data.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+  }
+
+  if (data.length >= 4 && data[0] === 0xff && data[1] === 0xd8) {
+    let orientation = 1;
+    let offset = 2;
+    while (offset + 9 < data.length) {
+      if (data[offset] !== 0xff) {
+        break;
+      }
+      const marker = data[offset + 1];
+      if (marker === 0xff) {
+        offset++;
+        continue;
+      }
+      const length = data.readUInt16BE(offset + 2);
+      if (marker === 0xe1) {
+        orientation = readExifOrientation(data.subarray(offset + 4, offset + 2 + length));
+      }
+      // Start-of-frame markers, excluding DHT (C4), JPG (C8) and DAC (CC).
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        const height = data.readUInt16BE(offset + 5);
+        const width = data.readUInt16BE(offset + 7);
+        return orientation >= 5 ? { width: height, height: width } : { width, height };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  throw new Error('Unrecognized image format or missing size header.');
+};
+
+/**
+ * Resolves the reference images of a product and reads their dimensions. References named in the brief
+ * are used as given; without them, every image in the product's asset folder is a structure reference.
+ * Sizes come from the image headers, so nothing is decoded. Images whose size cannot be read are kept but only
+ * chosen when nothing else of their role is left.
+ * @param {object} product - The product object from the brief.
+ * @returns {Promise<object[]>} References with path, role, strength, width, height and orientation.
+ * @throws {Error} If a reference path escapes the assets directory.
+ */
+const resolveProductReferences = async (product) => {
+  const declared = product.references
+    ? product.references.map(({ file, role = 'structure', strength }) => ({
+        path: getInputAssetPath(file),
+        role,
+        strength,
+      }))
+    : findProductAssets(product.name).map((filePath) => ({ path: filePath, role: 'structure' }));
+
+  const references = [];
+  for (const reference of declared) {
+    let width = null;
+    let height = null;
+    try {
+      ({ width, height } = readImageSize(reference.path));
+    } catch (readError) {
+      warn(
+        `Unable to read the size of reference ${path.basename(reference.path)} for ${product.name}: ${readError.message}`
+      );
+    }
+    references.push({
+      ...reference,
+      strength: reference.strength ?? config.firefly[`${reference.role}Strength`],
+      width,
+      height,
+      orientation: getOrientation(width && height ? width / height : null),
+    });
+  }
+  return references;
+};
+
+/**
+ * Chooses, for each role, the reference whose own shape is closest to the aspect ratio being generated,
+ * so portrait placements follow portrait references and landscape placements landscape ones.
+ * Ratios are compared on a log scale, making 2:1 and 1:2 equally far from square; ties go to the first listed.
+ * @param {object[]} references - The product's references.
+ * @param {string} aspectRatio - Aspect ratio the image is generated at (e.g., "9:16").
+ * @returns {{structure: object|null, style: object|null}} The chosen reference of each role, if any.
+ */
+const selectReferences = (references, aspectRatio) => {
+  const target = Math.log(parseRatio(aspectRatio));
+  const distance = ({ width, height }) =>
+    width && height ? Math.abs(Math.log(width / height) - target) : Infinity;
+
+  return Object.fromEntries(
+    ROLES.map((role) => [
+      role,
+      references
+        .filter((reference) => reference.role === role)
+        .reduce(
+          (best, reference) => (!best || distance(reference) < distance(best) ? reference : best),
+          null
+        ),
+    ])
+  );
+};
+
+/**
+ * Describes the chosen references for the manifest and dry-run plans. Files are given relative to the
+ * assets directory, as in the brief, so manifests name no machine-specific paths.
+ * @param {{structure: object|null, style: object|null}} selected - References chosen by selectReferences.
+ * @returns {object[]} One entry per role used, with role, file, strength, orientation and upload ID.
+ */
+const describeReferences = (selected) =>
+  ROLES.filter((role) => selected[role]).map((role) => {
+    const { path: filePath, strength, orientation, uploadId } = selected[role];
+    const file = path
+      .relative(path.resolve(config.paths.assets), filePath)
+      .split(path.sep)
+      .join('/');
+    return { role, file, strength, orientation, uploadId: uploadId || null };
+  });
+
+/**
+ * Converts the chosen references into the form providers take.
+ * @param {{structure: object|null, style: object|null}} selected - References chosen by selectReferences.
+ * @returns {{structure: object|null, style: object|null}} Upload ID and strength of each role, or null.
+ */
+const toProviderReferences = (selected) =>
+  Object.fromEntries(
+    ROLES.map((role) => [
+      role,
+      selected[role]
+        ? { uploadId: selected[role].uploadId, strength: selected[role].strength }
+        : null,
+    ])
+  );
+
+module.exports = {
+  readImageSize,
+  resolveProductReferences,
+  selectReferences,
+  describeReferences,
+  toProviderReferences,
+};
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const JOURNAL_VERSION = 1;
+// Run options worth replaying on --resume or retry-failed; services and callbacks are not.
+const JOURNALED_OPTIONS = [
+  'locales',
+  'overlay',
+  'force',
+  'variations',
+  'deriveFromMaster',
+  'strictI18n',
+  'onlySelectors',
+];
+
+/**
+ * Resolves the journal file of a run. Journals live in outputs/.runs so a run ID alone finds them.
+ * @param {string} runId - The run ID.
+ * @returns {string} Absolute path of the journal.
+ * @throws {Error} If the run ID contains anything but letters, digits and dashes.
+ */
+const getJournalPath = (runId) => {
+  if (!/^[A-Za-z0-9-]+$/.test(runId)) {
+    throw new Error(`Invalid run ID: ${runId}`);
+  }
+  return path.join(path.resolve(config.paths.outputs), '.runs', `${runId}.json`);
+};
+
+/**
+ * Writes a journal atomically, so a crash mid-write never leaves a truncated file behind.
+ * @param {object} journal - The journal.
+ */
+const writeJournal = (journal) => {
+  const journalPath = getJournalPath(journal.runId);
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  const tempPath = `${journalPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(journal, null, 2));
+  fs.renameSync(tempPath, journalPath);
+};
+
+/**
+ * Loads the journal of an earlier run.
+ * @param {string} runId - The run ID, as logged at the start of each brief and recorded in its manifest.
+ * @returns {object} The journal.
+ * @throws {Error} If there is no journal for the run or it cannot be read.
+ */
+const loadRunJournal = (runId) => {
+  const journalPath = getJournalPath(runId);
+  if (!fs.existsSync(journalPath)) {
+    throw new Error(`No journal found for run ${runId} (expected ${journalPath}).`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+  } catch (readError) {
+    throw new Error(`Unable to read journal for run ${runId}: ${readError.message}`);
+  }
+};
+
+/**
+ * Decides a finished unit's status from its records: failed when any locale failed or was blocked.
+ * @param {object[]} records - The unit's asset records.
+ * @returns {string} 'done' or 'failed'.
+ */
+const getUnitStatus = (records) =>
+  records.some((record) => ['failure', 'blocked'].includes(record.status)) ? 'failed' : 'done';
+
+/**
+ * Opens the journal of a run, or continues an existing one when the run is resumed. The journal tracks each
+ * unit of work (one product and placement, in every locale) as planned, in-progress, done or failed, and is
+ * rewritten on every change.
+ * @param {object} run - The run.
+ * @param {string} run.runId - Run ID.
+ * @param {string} run.campaignName - Campaign name.
+ * @param {string} run.briefPath - Brief the run was started from.
+ * @param {string} run.provider - Provider name.
+ * @param {object} run.options - Run options; the replayable ones are kept.
+ * @param {string|null} [run.retryOf] - Run whose failed units this run retries.
+ * @returns {{update: Function, finish: Function}} Journal writer: update takes runCampaign progress updates,
+ *   finish records the outcome ('completed' or 'failed') and an optional error message.
+ */
+const openRunJournal = ({ runId, campaignName, briefPath, provider, options, retryOf = null }) => {
+  const journalPath = getJournalPath(runId);
+  const now = () => new Date().toISOString();
+  const existing = fs.existsSync(journalPath) ? loadRunJournal(runId) : null;
+  const journal = existing
+    ? {
+        ...existing,
+        status: 'running',
+        error: null,
+        resumedAt: [...(existing.resumedAt || []), now()],
+        finishedAt: null,
+      }
+    : {
+        version: JOURNAL_VERSION,
+        runId,
+        campaignName,
+        briefPath,
+        provider,
+        retryOf,
+        options: Object.fromEntries(JOURNALED_OPTIONS.map((key) => [key, options[key] ?? null])),
+        status: 'running',
+        error: null,
+        startedAt: now(),
+        resumedAt: [],
+        finishedAt: null,
+        units: [],
+      };
+
+  const findUnit = (product, placement) =>
+    journal.units.find((unit) => unit.product === product && unit.placement === placement);
+  const upsertUnit = (product, placement) => {
+    let unit = findUnit(product, placement);
+    if (!unit) {
+      unit = {
+        product,
+        placement,
+        status: 'planned',
+        startedAt: null,
+        finishedAt: null,
+        records: [],
+      };
+      journal.units.push(unit);
+    }
+    return unit;
+  };
+
+  const update = (progress) => {
+    if (progress.event === 'planned') {
+      // A resumed run replans its units from scratch; records blocked before generation arrive with the plan.
+      [...progress.assets, ...progress.records].forEach(({ product, placement }) =>
+        Object.assign(upsertUnit(product, placement), {
+          status: 'planned',
+          startedAt: null,
+          finishedAt: null,
+          records: [],
+        })
+      );
+      progress.records.forEach((record) =>
+        upsertUnit(record.product, record.placement).records.push(record)
+      );
+      journal.units
+        .filter((unit) => unit.status === 'planned' && unit.records.length > 0)
+        .filter(
+          (unit) =>
+            !progress.assets.some(
+              (asset) => asset.product === unit.product && asset.placement === unit.placement
+            )
+        )
+        .forEach((unit) => Object.assign(unit, { status: 'failed', finishedAt: now() }));
+    } else if (progress.event === 'started') {
+      Object.assign(upsertUnit(progress.product, progress.placement), {
+        status: 'in-progress',
+        startedAt: now(),
+      });
+    } else if (progress.event === 'finished') {
+      const unit = upsertUnit(progress.product, progress.placement);
+      unit.records = [...unit.records, ...progress.records];
+      Object.assign(unit, { status: getUnitStatus(unit.records), finishedAt: now() });
+    }
+    writeJournal(journal);
+  };
+
+  const finish = (status, message = null) => {
+    Object.assign(journal, { status, error: message, finishedAt: now() });
+    writeJournal(journal);
+  };
+
+  writeJournal(journal);
+  return { update, finish };
+};
+
+module.exports = { openRunJournal, loadRunJournal, getJournalPath };
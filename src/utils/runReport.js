@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const { getCampaignOutputDir } = require('./fileHandler');
+
+const MANIFEST_VERSION = 5;
+
+/**
+ * Creates an empty manifest record for one product, placement and locale.
+ * @param {string} productName - Name of the product.
+ * @param {object} placement - The placement (name, aspectRatio, width and height).
+ * @param {string} locale - Locale of the copy on the asset (e.g., "es").
+ * @param {object[]} [references] - Reference images that drove the asset, one per role, each with role,
+ *   file, strength, orientation and upload ID.
+ * @returns {object} The record, with status 'pending'.
+ */
+const createAssetRecord = (productName, placement, locale, references = []) => ({
+  product: productName,
+  placement: placement.name,
+  aspectRatio: placement.aspectRatio,
+  width: placement.width,
+  height: placement.height,
+  locale,
+  status: 'pending',
+  promptTemplate: null,
+  prompt: null,
+  negativePrompt: null,
+  cacheKey: null,
+  references,
+  error: null,
+  durationMs: null,
+  outputPath: null,
+  compliance: null,
+  candidates: null,
+  selectedVariation: null,
+  selection: null,
+  source: null,
+  derivation: null,
+});
+
+/**
+ * Escapes text for safe inclusion in HTML.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped string.
+ */
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Renders the manifest as a standalone HTML page with thumbnails.
+ * Image paths are relative to the campaign folder, so the report must stay next to the assets.
+ * @param {object} manifest - The run manifest.
+ * @returns {string} The HTML document.
+ */
+const renderHtmlReport = (manifest) => {
+  const { summary } = manifest;
+  const cards = manifest.assets
+    .map((asset) => {
+      const thumbnail = asset.outputPath
+        ? `<a href="${escapeHtml(asset.outputPath)}"><img src="${escapeHtml(asset.outputPath)}" alt="${escapeHtml(`${asset.product} ${asset.placement}`)}"></a>`
+        : '<div class="placeholder">No image</div>';
+      const rows = [
+        ['Size', `${asset.width}x${asset.height} (${asset.aspectRatio})`],
+        ...(asset.source
+          ? [
+              [
+                'Source',
+                asset.source === 'derived'
+                  ? `derived (${asset.derivation.method} of ${asset.derivation.masterRatio} master)`
+                  : asset.source,
+              ],
+            ]
+          : []),
+        ['Duration', asset.durationMs !== null ? `${(asset.durationMs / 1000).toFixed(1)}s` : '—'],
+        [
+          'References',
+          asset.references && asset.references.length > 0
+            ? asset.references
+                .map(({ role, file, strength }) => `${role}: ${path.basename(file)} (${strength})`)
+                .join(', ')
+            : '—',
+        ],
+        ['Compliance', asset.compliance ? asset.compliance.status : '—'],
+        ['Template', asset.promptTemplate || '—'],
+        ...(asset.candidates
+          ? [
+              [
+                'Selected',
+                `v${asset.selectedVariation} of ${asset.candidates.length} (${asset.selection})`,
+              ],
+            ]
+          : []),
+      ]
+        .map(([name, value]) => `<tr><th>${name}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join('');
+      const candidateBlock = asset.candidates
+        ? `<details><summary>Candidates</summary><ul>${asset.candidates
+            .map(
+              (candidate) =>
+                `<li><a href="${escapeHtml(candidate.outputPath)}">v${candidate.variation}</a> score ${escapeHtml(candidate.score ?? '—')}${candidate.complianceStatus ? ` · ${escapeHtml(candidate.complianceStatus)}` : ''}</li>`
+            )
+            .join('')}</ul></details>`
+        : '';
+      const errorBlock = asset.error ? `<p class="error">${escapeHtml(asset.error)}</p>` : '';
+      const negativeBlock = asset.negativePrompt
+        ? `<p><strong>Negative prompt:</strong> ${escapeHtml(asset.negativePrompt)}</p>`
+        : '';
+      const promptBlock = asset.prompt
+        ? `<details><summary>Prompt</summary><pre>${escapeHtml(asset.prompt)}</pre>${negativeBlock}</details>`
+        : '';
+
+      return `<article class="card ${escapeHtml(asset.status)}">
+  ${thumbnail}
+  <h2>${escapeHtml(asset.product)} <span>${escapeHtml(asset.placement)} · ${escapeHtml(asset.locale)}</span></h2>
+  <p class="status">${escapeHtml(asset.status)}</p>
+  <table>${rows}</table>
+  ${errorBlock}
+  ${candidateBlock}
+  ${promptBlock}
+</article>`;
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(manifest.campaignName)} — Run Report</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; background: #f6f6f6; }
+  .summary span { margin-right: 1.5rem; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 1rem; }
+  .card { background: #fff; border-radius: 8px; padding: 1rem; border-top: 4px solid #999; }
+  .card.success { border-color: #2e7d32; }
+  .card.failure, .card.blocked { border-color: #c62828; }
+  .card.skipped { border-color: #f9a825; }
+  .card img { width: 100%; height: 200px; object-fit: contain; background: #eee; }
+  .placeholder { height: 200px; display: flex; align-items: center; justify-content: center; background: #eee; color: #888; }
+  .card h2 { font-size: 1.1rem; margin: 0.5rem 0 0; }
+  .card h2 span { color: #666; font-weight: normal; }
+  .status { text-transform: uppercase; font-size: 0.8rem; font-weight: bold; }
+  table { font-size: 0.85rem; border-collapse: collapse; }
+  th { text-align: left; padding-right: 0.75rem; color: #666; font-weight: normal; }
+  td { word-break: break-all; }
+  .error { color: #c62828; font-size: 0.85rem; }
+  pre { white-space: pre-wrap; font-size: 0.75rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(manifest.campaignName)}</h1>
+<p>Provider: ${escapeHtml(manifest.provider)} · Locales: ${escapeHtml(manifest.locales.join(', '))} · Started: ${escapeHtml(manifest.startedAt)} · Duration: ${(manifest.durationMs / 1000).toFixed(1)}s</p>
+<p class="summary"><span>Total: ${summary.total}</span><span>Success: ${summary.success}</span><span>Failed: ${summary.failure}</span><span>Blocked: ${summary.blocked}</span><span>Skipped: ${summary.skipped}</span></p>
+<section class="grid">
+${cards}
+</section>
+</body>
+</html>
+`;
+};
+
+/**
+ * Writes manifest.json and report.html into the campaign output folder.
+ * Output and compliance report paths in the manifest are relative to that folder.
+ * @param {object} run - Run details.
+ * @param {string} [run.runId] - Correlation ID of the run, as carried by its log lines.
+ * @param {string} run.campaignName - Name of the campaign.
+ * @param {string} run.briefPath - Resolved path of the brief file.
+ * @param {string} run.provider - Name of the image provider used.
+ * @param {string[]} run.locales - Locales generated in this run.
+ * @param {Date} run.startedAt - When the run started.
+ * @param {object[]} run.records - Asset records created by createAssetRecord.
+ * @returns {{manifestPath: string, reportPath: string}} Paths of the written files.
+ * @throws {Error} If the files cannot be written.
+ */
+const writeRunReport = ({
+  runId = null,
+  campaignName,
+  briefPath,
+  provider,
+  locales,
+  startedAt,
+  records,
+}) => {
+  const dir = getCampaignOutputDir(campaignName);
+  const relative = (filePath) =>
+    filePath ? path.relative(dir, filePath).split(path.sep).join('/') : null;
+  const finishedAt = new Date();
+
+  const assets = records.map((record) => ({
+    ...record,
+    outputPath: relative(record.outputPath),
+    compliance: record.compliance
+      ? { ...record.compliance, reportPath: relative(record.compliance.reportPath) }
+      : null,
+    candidates: record.candidates
+      ? record.candidates.map((candidate) => ({
+          ...candidate,
+          outputPath: relative(candidate.outputPath),
+        }))
+      : null,
+  }));
+
+  const count = (status) => assets.filter((asset) => asset.status === status).length;
+  const manifest = {
+    version: MANIFEST_VERSION,
+    runId,
+    campaignName,
+    briefPath,
+    provider,
+    locales,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    summary: {
+      total: assets.length,
+      success: count('success'),
+      failure: count('failure'),
+      blocked: count('blocked'),
+      skipped: count('skipped'),
+    },
+    assets,
+  };
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const manifestPath = path.join(dir, 'manifest.json');
+    const reportPath = path.join(dir, 'report.html');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    fs.writeFileSync(reportPath, renderHtmlReport(manifest));
+    return { manifestPath, reportPath };
+  } catch (fsError) {
+    throw new Error(`Failed to write run report: ${fsError.message}`);
+  }
+};
+
+/**
+ * Writes a dry-run plan to dry-run.json in the campaign output folder. The manifest, report and assets are untouched.
+ * @param {object} plan - The plan from planCampaign.
+ * @returns {string} Path of the written file.
+ * @throws {Error} If the file cannot be written.
+ */
+const writeDryRunReport = (plan) => {
+  const dir = getCampaignOutputDir(plan.campaignName);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const planPath = path.join(dir, 'dry-run.json');
+    fs.writeFileSync(
+      planPath,
+      JSON.stringify({ generatedAt: new Date().toISOString(), ...plan }, null, 2)
+    );
+    return planPath;
+  } catch (fsError) {
+    throw new Error(`Failed to write dry-run plan: ${fsError.message}`);
+  }
+};
+
+/**
+ * Marks a manually promoted candidate in an existing manifest and re-renders the HTML report.
+ * @param {string} campaignName - Name of the campaign.
+ * @param {object} selection - The promoted candidate.
+ * @param {string} selection.product - Name of the product.
+ * @param {string} selection.placement - Name of the placement.
+ * @param {string[]} selection.locales - Locales whose final asset was replaced.
+ * @param {number} selection.variation - The promoted variation number.
+ * @param {object} selection.outputPaths - Paths of the replaced final assets, keyed by locale.
+ * @returns {number} Number of manifest entries updated, or 0 when the campaign has no manifest.
+ * @throws {Error} If the manifest cannot be read or written.
+ */
+const recordManualSelection = (
+  campaignName,
+  { product, placement, locales, variation, outputPaths }
+) => {
+  const dir = getCampaignOutputDir(campaignName);
+  const manifestPath = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    return 0;
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const entries = manifest.assets.filter(
+      (asset) =>
+        asset.product === product && asset.placement === placement && locales.includes(asset.locale)
+    );
+    entries.forEach((asset) => {
+      asset.outputPath = path.relative(dir, outputPaths[asset.locale]).split(path.sep).join('/');
+      asset.selectedVariation = variation;
+      asset.selection = 'manual';
+      // Each candidate is cut from its own master, so the crop follows the promoted candidate.
+      const candidate = (asset.candidates || []).find((entry) => entry.variation === variation);
+      if (candidate && candidate.derivation) {
+        asset.derivation = candidate.derivation;
+      }
+    });
+
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    fs.writeFileSync(path.join(dir, 'report.html'), renderHtmlReport(manifest));
+    return entries.length;
+  } catch (fsError) {
+    throw new Error(`Failed to update run manifest: ${fsError.message}`);
+  }
+};
+
+module.exports = { createAssetRecord, writeRunReport, writeDryRunReport, recordManualSelection };
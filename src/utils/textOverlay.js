@@ -0,0 +1,195 @@
+const Jimp = require('jimp');
+const config = require('../config');
+
+// Bundled white Open Sans bitmap fonts, largest first.
+const FONT_SIZES = [128, 64, 32, 16, 8];
+const fontCache = {};
+
+/**
+ * Loads (and caches) the bundled white bitmap font of the given pixel size.
+ * @param {number} size - Font size in pixels (one of FONT_SIZES).
+ * @returns {Promise<object>} The loaded Jimp font.
+ */
+const loadFont = async (size) => {
+  if (!fontCache[size]) {
+    fontCache[size] = await Jimp.loadFont(Jimp[`FONT_SANS_${size}_WHITE`]);
+  }
+  return fontCache[size];
+};
+
+/**
+ * Lists the characters of a text that a bitmap font has no glyph for. The bundled fonts only cover
+ * Latin-1 and the euro sign, so Cyrillic, Greek, Arabic or CJK copy would print as gaps.
+ * @param {object} font - A loaded Jimp font.
+ * @param {string} text - Text to render.
+ * @returns {string[]} The unsupported characters, each listed once.
+ */
+const findUnsupportedCharacters = (font, text) =>
+  [...new Set(text)].filter((char) => !/\s/.test(char) && !font.chars[char]);
+
+/**
+ * Resolves the overlay layout for an aspect ratio, falling back to one derived from orientation.
+ * @param {string} aspectRatio - Aspect ratio (e.g., "1:1").
+ * @param {number} width - Image width in pixels.
+ * @param {number} height - Image height in pixels.
+ * @returns {object} Layout with position, align, margin, maxWidth and fontScale ratios.
+ */
+const getLayout = (aspectRatio, width, height) => {
+  const { layouts } = config.overlay;
+  if (layouts[aspectRatio]) {
+    return layouts[aspectRatio];
+  }
+
+  const orientation =
+    width > height * 1.2 ? 'landscape' : height > width * 1.2 ? 'portrait' : 'square';
+  return layouts[orientation];
+};
+
+/**
+ * Picks the largest bundled font not exceeding the target size whose wrapped text fits.
+ * @param {string} text - Text to render.
+ * @param {number} targetSize - Desired font size in pixels.
+ * @param {number} maxWidth - Maximum line width in pixels.
+ * @param {number} maxHeight - Maximum block height in pixels.
+ * @returns {Promise<{font: object, size: number, height: number}>} Chosen font and its block height.
+ */
+const fitFont = async (text, targetSize, maxWidth, maxHeight) => {
+  const candidates = FONT_SIZES.filter((size) => size <= targetSize);
+  if (candidates.length === 0) {
+    candidates.push(FONT_SIZES[FONT_SIZES.length - 1]);
+  }
+
+  let chosen = null;
+  for (const size of candidates) {
+    const font = await loadFont(size);
+    const height = Jimp.measureTextHeight(font, text, maxWidth);
+    chosen = { font, size, height };
+    if (height <= maxHeight) {
+      break;
+    }
+  }
+  return chosen;
+};
+
+/**
+ * Darkens a rectangular region so overlaid text stays legible on any background.
+ * @param {Jimp} image - The image to modify in place.
+ * @param {number} x - Left edge in pixels.
+ * @param {number} y - Top edge in pixels.
+ * @param {number} w - Region width in pixels.
+ * @param {number} h - Region height in pixels.
+ * @param {number} opacity - Darkening amount between 0 and 1.
+ */
+const shadeRegion = (image, x, y, w, h, opacity) => {
+  const keep = 1 - opacity;
+  const left = Math.max(0, x);
+  const top = Math.max(0, y);
+  const right = Math.min(image.bitmap.width, x + w);
+  const bottom = Math.min(image.bitmap.height, y + h);
+  image.scan(left, top, right - left, bottom - top, function (px, py, idx) {
+    this.bitmap.data[idx] = Math.round(this.bitmap.data[idx] * keep);
+    this.bitmap.data[idx + 1] = Math.round(this.bitmap.data[idx + 1] * keep);
+    this.bitmap.data[idx + 2] = Math.round(this.bitmap.data[idx + 2] * keep);
+  });
+};
+
+/**
+ * Renders the campaign message (and optional call to action) onto an image.
+ * Placement, safe margins and font size adapt to the aspect ratio via config.overlay.layouts.
+ * A placement's safe zone widens the margins on each side it covers, keeping text clear of platform UI.
+ * @param {Buffer} imageData - The source image (PNG, JPEG or any format Jimp can read).
+ * @param {string} aspectRatio - Aspect ratio of the image (e.g., "1:1").
+ * @param {object} copy - Text to render.
+ * @param {string} copy.message - The localized campaign message.
+ * @param {string} [copy.cta] - Optional localized call to action.
+ * @param {object} [options] - Placement options.
+ * @param {object|null} [options.safeZone] - Fractions of the width (left/right) and height (top/bottom) to keep clear.
+ * @returns {Promise<Buffer>} The composited image as PNG data.
+ * @throws {Error} If parameters are invalid, the image cannot be decoded or the font lacks glyphs for the copy.
+ */
+const applyTextOverlay = async (
+  imageData,
+  aspectRatio,
+  { message, cta } = {},
+  { safeZone = null } = {}
+) => {
+  if (!imageData || !Buffer.isBuffer(imageData)) {
+    throw new Error('Image data must be a valid Buffer.');
+  }
+
+  if (!message || typeof message !== 'string') {
+    throw new Error('Overlay message must be a non-empty string.');
+  }
+
+  let image;
+  try {
+    image = await Jimp.read(imageData);
+  } catch (readError) {
+    throw new Error(`Unable to decode image for text overlay: ${readError.message}`);
+  }
+
+  const { width, height } = image.bitmap;
+  const layout = getLayout(aspectRatio, width, height);
+  const margin = Math.round(Math.min(width, height) * layout.margin);
+  const zone = safeZone || {};
+  const inset = {
+    top: Math.max(margin, Math.round(height * (zone.top || 0))),
+    right: Math.max(margin, Math.round(width * (zone.right || 0))),
+    bottom: Math.max(margin, Math.round(height * (zone.bottom || 0))),
+    left: Math.max(margin, Math.round(width * (zone.left || 0))),
+  };
+  const usableWidth = width - inset.left - inset.right;
+  const maxWidth = Math.round(usableWidth * layout.maxWidth);
+  const maxHeight = Math.round(height * layout.maxHeight);
+
+  const headline = await fitFont(message, height * layout.fontScale, maxWidth, maxHeight);
+  let callout = null;
+  if (cta) {
+    callout = await fitFont(cta, headline.size / 2, maxWidth, maxHeight - headline.height);
+  }
+
+  const unsupported = [
+    ...new Set([
+      ...findUnsupportedCharacters(headline.font, message),
+      ...(callout ? findUnsupportedCharacters(callout.font, cta) : []),
+    ]),
+  ];
+  if (unsupported.length > 0) {
+    throw new Error(
+      `The overlay font cannot render these characters: ${unsupported.map((char) => `"${char}"`).join(', ')}`
+    );
+  }
+
+  const gap = callout ? Math.round(headline.size * 0.25) : 0;
+  const blockHeight = headline.height + gap + (callout ? callout.height : 0);
+  const blockX =
+    layout.align === 'center' ? inset.left + Math.round((usableWidth - maxWidth) / 2) : inset.left;
+  const blockY = layout.position === 'top' ? inset.top : height - inset.bottom - blockHeight;
+  const alignmentX =
+    layout.align === 'center' ? Jimp.HORIZONTAL_ALIGN_CENTER : Jimp.HORIZONTAL_ALIGN_LEFT;
+
+  const padding = Math.round(margin / 2);
+  shadeRegion(
+    image,
+    blockX - padding,
+    blockY - padding,
+    maxWidth + padding * 2,
+    blockHeight + padding * 2,
+    config.overlay.backgroundOpacity
+  );
+
+  image.print(headline.font, blockX, blockY, { text: message, alignmentX }, maxWidth);
+  if (callout) {
+    image.print(
+      callout.font,
+      blockX,
+      blockY + headline.height + gap,
+      { text: cta, alignmentX },
+      maxWidth
+    );
+  }
+
+  return image.getBufferAsync(Jimp.MIME_PNG);
+};
+
+module.exports = { applyTextOverlay };
@@ -0,0 +1,103 @@
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, byte) => {
+  let crc = byte;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum ZIP uses for each entry.
+ * @param {Buffer} data - The uncompressed data.
+ * @returns {number} The unsigned checksum.
+ */
+const crc32 = (data) => {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Converts a date to the MS-DOS time and date fields of a ZIP header.
+ * @param {Date} date - The modification time.
+ * @returns {{time: number, date: number}} The packed fields.
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date:
+    ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+/**
+ * Builds a ZIP archive in memory. Entries are deflated unless that would not make them smaller
+ * (e.g., PNG and JPEG images), in which case they are stored as is.
+ * @param {Array<{name: string, data: Buffer, modifiedAt?: Date}>} entries - Files to add; names use "/" separators.
+ * @returns {Buffer} The archive.
+ * @throws {Error} If the archive would exceed the 4 GB limit of the classic ZIP format.
+ */
+const createZipArchive = (entries) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data, modifiedAt = new Date() }) => {
+    const fileName = Buffer.from(name, 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const compressed = deflated.length < data.length;
+    const body = compressed ? deflated : data;
+    const checksum = crc32(data);
+    const { time, date } = toDosDateTime(modifiedAt);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    local.writeUInt16LE(compressed ? 8 : 0, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(compressed ? 8 : 0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, body);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + body.length;
+    if (offset > 0xffffffff) {
+      throw new Error('Archive exceeds the 4 GB ZIP limit.');
+    }
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = { createZipArchive };
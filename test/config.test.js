@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mergeSettings, findSettingOverrides, loadConfigFile } = require('../src/config/configFile');
+
+const CONFIG_MODULE = path.join(__dirname, '..', 'src', 'config');
+const tempDirs = [];
+
+test.after(() => tempDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Builds the configuration in a fresh process, as the CLI would at startup.
+ * @param {string[]} args - Command line arguments.
+ * @param {object} [env] - Environment variables; nothing else from the test's environment is passed on.
+ * @returns {{config: object|null, status: number, stderr: string}} The configuration, or the exit status and errors.
+ */
+const buildConfig = (args, env = {}) => {
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  const result = spawnSync(
+    process.execPath,
+    ['-p', `JSON.stringify(require(${JSON.stringify(CONFIG_MODULE)}))`, 'config-test', ...args],
+    { cwd, env: { PATH: process.env.PATH, ...env }, encoding: 'utf8' }
+  );
+  fs.rmSync(cwd, { recursive: true, force: true });
+  return {
+    config: result.status === 0 ? JSON.parse(result.stdout) : null,
+    status: result.status,
+    stderr: result.stderr,
+  };
+};
+
+/**
+ * Writes a config file into a temporary directory.
+ * @param {string} name - File name (e.g., "generator.config.yaml").
+ * @param {string} text - File contents.
+ * @returns {string} Path to the file.
+ */
+const writeConfigFile = (name, text) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-file-'));
+  tempDirs.push(dir);
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, text);
+  return filePath;
+};
+
+test('each layer overrides the one before: defaults, file, environment, --set', () => {
+  const file = writeConfigFile(
+    'generator.config.yaml',
+    'concurrency: 2\nrequestsPerMinute: 30\nretry:\n  retries: 5\n'
+  );
+
+  assert.equal(buildConfig([]).config.concurrency, 1);
+  const fromFile = buildConfig(['--config', file]).config;
+  assert.equal(fromFile.concurrency, 2);
+  assert.equal(fromFile.retry.retries, 5);
+  assert.equal(fromFile.retry.maxDelayMs, 30000);
+  assert.equal(
+    buildConfig(['--config', file], { GENERATION_CONCURRENCY: '3' }).config.concurrency,
+    3
+  );
+
+  const overridden = buildConfig(
+    ['--config', file, '--set', 'concurrency=4', '--set=retry.retries=0'],
+    {
+      GENERATION_CONCURRENCY: '3',
+    }
+  ).config;
+  assert.equal(overridden.concurrency, 4);
+  assert.equal(overridden.retry.retries, 0);
+  assert.equal(overridden.requestsPerMinute, 30);
+});
+
+test('invalid settings stop startup with every problem listed', () => {
+  const { status, stderr } = buildConfig(['--set', 'concurrency=0', '--set', 'retry.tries=2'], {
+    FIREFLY_REQUESTS_PER_MINUTE: '30',
+  });
+  assert.equal(status, 1);
+  assert.match(stderr, /concurrency: /);
+  assert.match(stderr, /retry\.tries: unknown setting/);
+
+  const badEnvironment = buildConfig([], { GENERATION_CONCURRENCY: 'two' });
+  assert.equal(badEnvironment.status, 1);
+  assert.match(badEnvironment.stderr, /GENERATION_CONCURRENCY: /);
+});
+
+test('nested settings merge key by key while arrays are replaced', () => {
+  assert.deepEqual(
+    mergeSettings(
+      { firefly: { stylePresets: ['photo', 'art'], contentClass: 'photo' } },
+      { firefly: { stylePresets: ['art'] } }
+    ),
+    { firefly: { stylePresets: ['art'], contentClass: 'photo' } }
+  );
+});
+
+test('--set values keep their YAML type', () => {
+  assert.deepEqual(
+    findSettingOverrides(['--set', 'a.b=12', '--set=c=[x, y]', '--other', '--set', 'd=']),
+    [{ a: { b: 12 } }, { c: ['x', 'y'] }, { d: '' }]
+  );
+  assert.throws(() => findSettingOverrides(['--set', 'novalue']), /--set expects key=value/);
+});
+
+test('relative paths in a config file resolve against its directory', () => {
+  const file = writeConfigFile(
+    'generator.config.json',
+    JSON.stringify({ paths: { outputs: 'out', assets: '/abs/assets' } })
+  );
+  assert.deepEqual(loadConfigFile(file, ['paths.outputs', 'paths.assets', 'paths.briefs']), {
+    paths: { outputs: path.join(path.dirname(file), 'out'), assets: '/abs/assets' },
+  });
+});
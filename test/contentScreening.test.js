@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { screenContent, screenProductCopy } = require('../src/utils/contentScreening');
+
+test('literal terms match whole words only', () => {
+  assert.deepEqual(
+    screenContent({ campaignMessage: 'Secure your summer look' }, 'US').violations,
+    []
+  );
+
+  const { blocked, violations } = screenContent(
+    { campaignMessage: 'The cure for boring shades' },
+    'US'
+  );
+  assert.equal(blocked, true);
+  assert.deepEqual(
+    violations.map(({ field, match, severity }) => ({ field, match, severity })),
+    [{ field: 'campaignMessage', match: 'cure', severity: 'block' }]
+  );
+});
+
+test('matching ignores case and supports patterns', () => {
+  const { blocked, violations } = screenContent(
+    { campaignMessage: 'MIRACLE formula, 100% Natural' },
+    'US'
+  );
+  assert.equal(blocked, true);
+  assert.deepEqual(
+    violations.map((violation) => violation.match),
+    ['MIRACLE', '100% Natural']
+  );
+});
+
+test('warnings are reported without blocking', () => {
+  const { blocked, violations } = screenContent({ callToAction: 'Guaranteed fun' }, 'US');
+  assert.equal(blocked, false);
+  assert.equal(violations.length, 1);
+  assert.equal(violations[0].severity, 'warning');
+  assert.equal(violations[0].category, 'claim');
+});
+
+test('regional rules apply only to their region, named in any case', () => {
+  const fields = { campaignMessage: 'Summer detox' };
+  assert.equal(screenContent(fields, 'US').blocked, false);
+  assert.equal(screenContent(fields, 'EU').blocked, true);
+  assert.equal(screenContent(fields, 'uk').blocked, true);
+  assert.equal(screenContent(fields, undefined).blocked, false);
+});
+
+test('product copy is screened with the campaign copy', () => {
+  const product = { name: 'Sunglasses', description: 'Better than Ray-Ban' };
+  const { blocked, violations } = screenProductCopy(
+    product,
+    { campaignMessage: 'Summer Sale!' },
+    'US'
+  );
+  assert.equal(blocked, true);
+  assert.deepEqual(
+    violations.map(({ field, category }) => ({ field, category })),
+    [{ field: 'product.description', category: 'competitor' }]
+  );
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  initI18n,
+  findTranslation,
+  checkTranslations,
+  parseLocaleList,
+} = require('../src/utils/locales');
+
+initI18n();
+
+/**
+ * Builds a minimal brief for translation checks.
+ * @param {object} fields - Brief fields to set (campaignMessage, callToAction, copyValues, products).
+ * @returns {object} The brief.
+ */
+const makeBrief = (fields) => ({
+  campaignName: 'Summer',
+  targetRegion: 'US',
+  targetAudience: 'Adults',
+  products: [{ name: 'productA', description: 'Sunglasses' }],
+  ...fields,
+});
+
+test('findTranslation picks the plural form with the locale rules', () => {
+  assert.equal(findTranslation('en', 'days_left', 1), 'Only {{count}} day left!');
+  assert.equal(findTranslation('en', 'days_left', 0), 'Only {{count}} days left!');
+  // French treats zero as singular.
+  assert.equal(findTranslation('fr', 'days_left', 0), 'Plus que {{count}} jour !');
+  assert.equal(findTranslation('es', 'days_left', 3), '¡Solo quedan {{count}} días!');
+});
+
+test('findTranslation uses the plain key without a numeric count', () => {
+  assert.equal(findTranslation('en', 'summer_sale'), 'Summer Sale!');
+  assert.equal(findTranslation('en', 'days_left'), undefined);
+  assert.equal(findTranslation('en', 'days_left', '2'), undefined);
+});
+
+test('findTranslation does not fall back to other locales', () => {
+  assert.equal(findTranslation('de', 'summer_sale'), undefined);
+});
+
+test('checkTranslations accepts plural keys when count is set', () => {
+  const brief = makeBrief({ campaignMessage: 'days_left', copyValues: { count: 3 } });
+  assert.deepEqual(checkTranslations(brief, ['en', 'es', 'fr']), []);
+});
+
+test('checkTranslations reports missing keys and placeholder values', () => {
+  const brief = makeBrief({ campaignMessage: 'percent_off', callToAction: 'no_such_key' });
+  assert.deepEqual(
+    checkTranslations(brief, ['en']).map(({ field, product, message }) => ({
+      field,
+      product,
+      message,
+    })),
+    [
+      {
+        field: 'campaignMessage',
+        product: 'productA',
+        message:
+          'en: campaignMessage "percent_off" uses {{discount}}, but no value is set for productA.',
+      },
+      {
+        field: 'callToAction',
+        product: null,
+        message: 'en: missing translation for callToAction key "no_such_key".',
+      },
+    ]
+  );
+});
+
+test('parseLocaleList splits, trims and de-duplicates', () => {
+  assert.deepEqual(parseLocaleList(['en, es', 'fr,en']), ['en', 'es', 'fr']);
+  assert.equal(parseLocaleList(undefined), null);
+  assert.equal(parseLocaleList(' , '), null);
+});
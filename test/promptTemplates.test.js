@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  listPromptTemplates,
+  loadPromptTemplate,
+  getPromptTemplateName,
+  renderTemplate,
+} = require('../src/utils/promptTemplates');
+
+test('renderTemplate fills placeholders, tolerating spaces inside the braces', () => {
+  assert.equal(
+    renderTemplate('  {{productName}} in {{ scene }}, {{mood}}.\n', {
+      productName: 'Sunglasses',
+      scene: 'a beach',
+      mood: '',
+    }),
+    'Sunglasses in a beach, .'
+  );
+});
+
+test('renderTemplate inserts values as-is without rendering them again', () => {
+  assert.equal(
+    renderTemplate('Say {{message}}', { message: '{{productName}}', productName: 'x' }),
+    'Say {{productName}}'
+  );
+  assert.equal(renderTemplate('{{count}} / {{missing}}', { count: 3, missing: null }), '3 /');
+});
+
+test('renderTemplate names every unknown placeholder once', () => {
+  assert.throws(
+    () => renderTemplate('{{scene}} {{colour}} {{colour}} {{size}}', { scene: 'beach' }, 'custom'),
+    {
+      message:
+        'Prompt template "custom" uses unknown placeholder(s): colour, size. Available: scene',
+    }
+  );
+});
+
+test('templates are chosen by product, then brief, then the default', () => {
+  assert.equal(getPromptTemplateName({ promptTemplate: 'a' }, { promptTemplate: 'b' }), 'a');
+  assert.equal(getPromptTemplateName({}, { promptTemplate: 'b' }), 'b');
+  assert.equal(getPromptTemplateName({}, {}), 'lifestyle-photo');
+});
+
+test('bundled templates load by name and only by name', () => {
+  assert.deepEqual(listPromptTemplates(), [
+    'flat-illustration',
+    'lifestyle-photo',
+    'studio-packshot',
+  ]);
+  assert.match(loadPromptTemplate('studio-packshot'), /{{campaignMessage}}/);
+  assert.throws(() => loadPromptTemplate('../secrets'), /Invalid prompt template name/);
+  assert.throws(() => loadPromptTemplate('missing'), /not found/);
+});
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const { createReferenceUploader } = require('../src/services/referenceUploads');
+const { isReferenceRejection } = require('../src/services/firefly');
+
+/**
+ * Creates a provider whose uploads return numbered IDs.
+ * @param {object} t - The test context, for mocking.
+ * @returns {object} The provider; uploadImage is a mock function.
+ */
+const createFakeProvider = (t) => {
+  let uploads = 0;
+  return { name: 'fake', uploadImage: t.mock.fn(async () => `upload-${++uploads}`) };
+};
+
+/**
+ * Writes a reference image into the test's output root.
+ * @param {string} name - File name.
+ * @param {string} contents - File contents.
+ * @returns {string} Path to the file.
+ */
+const writeReference = (name, contents) => {
+  const filePath = path.join(config.paths.outputs, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+};
+
+/**
+ * Reads the upload cache file.
+ * @returns {object} Cached uploads keyed by "<provider>:<content hash>".
+ */
+const readUploadCache = () =>
+  JSON.parse(fs.readFileSync(path.join(config.paths.outputs, '.upload-cache.json'), 'utf8'))
+    .uploads;
+
+test.beforeEach(() => {
+  config.paths.outputs = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-test-'));
+  config.uploadCache.maxAgeHours = 144;
+});
+
+test.afterEach(() => {
+  fs.rmSync(config.paths.outputs, { recursive: true, force: true });
+});
+
+test('identical contents are uploaded once, even concurrently', async (t) => {
+  const provider = createFakeProvider(t);
+  const uploader = createReferenceUploader(provider);
+  const first = writeReference('a.png', 'same');
+  const copy = writeReference('b.png', 'same');
+
+  const results = await Promise.all([
+    uploader.upload(first),
+    uploader.upload(copy),
+    uploader.upload(first),
+  ]);
+  assert.deepEqual(
+    results.map((result) => result.uploadedAssetId),
+    ['upload-1', 'upload-1', 'upload-1']
+  );
+  assert.equal(provider.uploadImage.mock.callCount(), 1);
+  assert.equal(
+    (await uploader.upload(writeReference('c.png', 'other'))).uploadedAssetId,
+    'upload-2'
+  );
+});
+
+test('later runs reuse cached uploads until they expire', async (t) => {
+  const reference = writeReference('a.png', 'logo');
+  const { referenceHash } = await createReferenceUploader(createFakeProvider(t)).upload(reference);
+
+  const later = createFakeProvider(t);
+  assert.equal(
+    (await createReferenceUploader(later).upload(reference)).uploadedAssetId,
+    'upload-1'
+  );
+  assert.equal(later.uploadImage.mock.callCount(), 0);
+
+  const cache = readUploadCache();
+  cache[`fake:${referenceHash}`].uploadedAt = new Date(
+    Date.now() - 145 * 60 * 60 * 1000
+  ).toISOString();
+  fs.writeFileSync(
+    path.join(config.paths.outputs, '.upload-cache.json'),
+    JSON.stringify({ version: 1, uploads: cache })
+  );
+  const afterExpiry = createFakeProvider(t);
+  await createReferenceUploader(afterExpiry).upload(reference);
+  assert.equal(afterExpiry.uploadImage.mock.callCount(), 1);
+});
+
+test('uploads are cached per provider and not at all with a zero maximum age', async (t) => {
+  const reference = writeReference('a.png', 'logo');
+  await createReferenceUploader(createFakeProvider(t)).upload(reference);
+  const other = { name: 'other', uploadImage: t.mock.fn(async () => 'other-1') };
+  assert.equal((await createReferenceUploader(other).upload(reference)).uploadedAssetId, 'other-1');
+  assert.equal(Object.keys(readUploadCache()).length, 2);
+
+  fs.rmSync(config.paths.outputs, { recursive: true, force: true });
+  fs.mkdirSync(config.paths.outputs);
+  config.uploadCache.maxAgeHours = 0;
+  await createReferenceUploader(createFakeProvider(t)).upload(writeReference('a.png', 'logo'));
+  assert.equal(fs.existsSync(path.join(config.paths.outputs, '.upload-cache.json')), false);
+});
+
+test('failed uploads are not remembered', async (t) => {
+  const provider = createFakeProvider(t);
+  provider.uploadImage.mock.mockImplementationOnce(async () => {
+    throw new Error('Upload failed');
+  });
+  const uploader = createReferenceUploader(provider);
+  const reference = writeReference('a.png', 'logo');
+
+  await assert.rejects(uploader.upload(reference), /Upload failed/);
+  assert.equal((await uploader.upload(reference)).uploadedAssetId, 'upload-1');
+});
+
+test('a rejected upload is replaced once for every asset that hit it', async (t) => {
+  const provider = createFakeProvider(t);
+  const uploader = createReferenceUploader(provider);
+  const reference = writeReference('a.png', 'logo');
+  const { uploadedAssetId, referenceHash } = await uploader.upload(reference);
+
+  const replaced = await Promise.all([
+    uploader.reupload(reference, uploadedAssetId),
+    uploader.reupload(reference, uploadedAssetId),
+  ]);
+  assert.deepEqual(
+    replaced.map((result) => result.uploadedAssetId),
+    ['upload-2', 'upload-2']
+  );
+  assert.equal((await uploader.reupload(reference, uploadedAssetId)).uploadedAssetId, 'upload-2');
+  assert.equal(provider.uploadImage.mock.callCount(), 2);
+  assert.equal(readUploadCache()[`fake:${referenceHash}`].uploadId, 'upload-2');
+});
+
+test('only validation errors naming a reference upload ID count as rejected references', () => {
+  const rejection = (name) => ({
+    error_code: 'validation_error',
+    invalid_params: [{ name, reason: 'not found' }],
+  });
+
+  assert.equal(
+    isReferenceRejection(400, rejection('structure.imageReference.source.uploadId')),
+    true
+  );
+  assert.equal(isReferenceRejection(404, rejection('styles.imageReference.source.uploadId')), true);
+  assert.equal(isReferenceRejection(400, rejection('prompt')), false);
+  assert.equal(
+    isReferenceRejection(500, rejection('structure.imageReference.source.uploadId')),
+    false
+  );
+  assert.equal(
+    isReferenceRejection(400, { error_code: 'validation_error', message: 'Invalid uploadId' }),
+    false
+  );
+  assert.equal(isReferenceRejection(404, undefined), false);
+});
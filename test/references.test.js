@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const {
+  readImageSize,
+  selectReferences,
+  describeReferences,
+  toProviderReferences,
+} = require('../src/utils/references');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'references-test-'));
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * Writes image bytes to a temporary file.
+ * @param {string} name - File name.
+ * @param {Buffer} data - File contents.
+ * @returns {string} Path to the file.
+ */
+const writeImage = (name, data) => {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, data);
+  return filePath;
+};
+
+/**
+ * Builds the header of a PNG: its signature and IHDR chunk.
+ * @param {number} width - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @returns {Buffer} The header.
+ */
+const pngHeader = (width, height) => {
+  const data = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(data);
+  data.writeUInt32BE(13, 8);
+  data.write('IHDR', 12, 'latin1');
+  data.writeUInt32BE(width, 16);
+  data.writeUInt32BE(height, 20);
+  return data;
+};
+
+/**
+ * Builds a JPEG segment.
+ * @param {number} marker - Marker byte (e.g., 0xc0 for SOF0).
+ * @param {Buffer} payload - Segment payload.
+ * @returns {Buffer} The segment with its marker and length.
+ */
+const jpegSegment = (marker, payload) => {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Builds the start of a JPEG up to its frame header, with an optional EXIF orientation and a Huffman table
+ * segment before the frame.
+ * @param {number} width - Stored width in pixels.
+ * @param {number} height - Stored height in pixels.
+ * @param {number|null} [orientation] - EXIF orientation tag, if any.
+ * @returns {Buffer} The JPEG bytes.
+ */
+const jpegHeader = (width, height, orientation = null) => {
+  const segments = [Buffer.from([0xff, 0xd8])];
+  if (orientation) {
+    const tiff = Buffer.alloc(26);
+    tiff.write('MM', 0, 'latin1');
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4);
+    tiff.writeUInt16BE(1, 8);
+    tiff.writeUInt16BE(0x0112, 10);
+    tiff.writeUInt16BE(3, 12);
+    tiff.writeUInt32BE(1, 14);
+    tiff.writeUInt16BE(orientation, 18);
+    segments.push(jpegSegment(0xe1, Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff])));
+  }
+  segments.push(jpegSegment(0xc4, Buffer.alloc(20)));
+  const frame = Buffer.alloc(15);
+  frame[0] = 8;
+  frame.writeUInt16BE(height, 1);
+  frame.writeUInt16BE(width, 3);
+  segments.push(jpegSegment(0xc0, frame));
+  return Buffer.concat(segments);
+};
+
+/**
+ * Builds the header of an extended (VP8X) WebP.
+ * @param {number} width - Width in pixels.
+ * @param {number} height - Height in pixels.
+ * @returns {Buffer} The header.
+ */
+const webpHeader = (width, height) => {
+  const data = Buffer.alloc(30);
+  data.write('RIFF', 0, 'latin1');
+  data.write('WEBP', 8, 'latin1');
+  data.write('VP8X', 12, 'latin1');
+  data.writeUIntLE(width - 1, 24, 3);
+  data.writeUIntLE(height - 1, 27, 3);
+  return data;
+};
+
+/**
+ * Builds a reference as resolveProductReferences returns it.
+ * @param {string} name - File name under the assets directory.
+ * @param {string} role - 'structure' or 'style'.
+ * @param {number|null} width - Width in pixels, or null when unknown.
+ * @param {number|null} height - Height in pixels, or null when unknown.
+ * @returns {object} The reference.
+ */
+const reference = (name, role, width, height) => ({
+  path: path.join(path.resolve(config.paths.assets), name),
+  role,
+  strength: role === 'style' ? 50 : 100,
+  width,
+  height,
+});
+
+test('readImageSize reads PNG and WebP headers', () => {
+  assert.deepEqual(readImageSize(writeImage('wide.png', pngHeader(1920, 1080))), {
+    width: 1920,
+    height: 1080,
+  });
+  assert.deepEqual(readImageSize(writeImage('tall.webp', webpHeader(1080, 1920))), {
+    width: 1080,
+    height: 1920,
+  });
+});
+
+test('readImageSize finds the JPEG frame and applies a quarter-turn EXIF orientation', () => {
+  assert.deepEqual(readImageSize(writeImage('plain.jpg', jpegHeader(1600, 1200))), {
+    width: 1600,
+    height: 1200,
+  });
+  assert.deepEqual(readImageSize(writeImage('flipped.jpg', jpegHeader(1600, 1200, 3))), {
+    width: 1600,
+    height: 1200,
+  });
+  assert.deepEqual(readImageSize(writeImage('rotated.jpg', jpegHeader(1600, 1200, 6))), {
+    width: 1200,
+    height: 1600,
+  });
+});
+
+test('readImageSize rejects files it does not recognize', () => {
+  assert.throws(
+    () => readImageSize(writeImage('notes.png', Buffer.from('not an image at all, just text'))),
+    {
+      message: 'Unrecognized image format or missing size header.',
+    }
+  );
+  assert.throws(
+    () => readImageSize(writeImage('cut.jpg', jpegHeader(1600, 1200).subarray(0, 12))),
+    /Unrecognized/
+  );
+});
+
+test('selectReferences picks the closest shape per role', () => {
+  const references = [
+    reference('a/landscape.jpg', 'structure', 1600, 900),
+    reference('a/portrait.jpg', 'structure', 900, 1600),
+    reference('a/square.jpg', 'structure', 1000, 1000),
+    reference('a/texture.png', 'style', 1200, 1000),
+  ];
+
+  assert.equal(selectReferences(references, '16:9').structure.path, references[0].path);
+  assert.equal(selectReferences(references, '9:16').structure.path, references[1].path);
+  assert.equal(selectReferences(references, '4:3').structure.path, references[2].path);
+  assert.equal(selectReferences(references, '9:16').style.path, references[3].path);
+});
+
+test('selectReferences measures on a log scale, breaks ties in order and uses unknown sizes last', () => {
+  const twoToOne = reference('b/wide.jpg', 'structure', 2000, 1000);
+  const oneToTwo = reference('b/tall.jpg', 'structure', 1000, 2000);
+  assert.equal(selectReferences([twoToOne, oneToTwo], '1:1').structure, twoToOne);
+  assert.equal(selectReferences([oneToTwo, twoToOne], '1:1').structure, oneToTwo);
+
+  const unknown = reference('b/unknown.jpg', 'structure', null, null);
+  assert.equal(selectReferences([unknown, oneToTwo], '16:9').structure, oneToTwo);
+  assert.deepEqual(selectReferences([unknown], '16:9'), { structure: unknown, style: null });
+  assert.deepEqual(selectReferences([], '1:1'), { structure: null, style: null });
+});
+
+test('chosen references are described relative to the assets directory and passed to providers by upload ID', () => {
+  const selected = {
+    structure: {
+      ...reference('productA/front.jpg', 'structure', 900, 1600),
+      orientation: 'portrait',
+      uploadId: 'u-1',
+    },
+    style: null,
+  };
+  assert.deepEqual(describeReferences(selected), [
+    {
+      role: 'structure',
+      file: 'productA/front.jpg',
+      strength: 100,
+      orientation: 'portrait',
+      uploadId: 'u-1',
+    },
+  ]);
+  assert.deepEqual(toProviderReferences(selected), {
+    structure: { uploadId: 'u-1', strength: 100 },
+    style: null,
+  });
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const { withRetry, getRetryDelay } = require('../src/services/retry');
+
+/**
+ * Builds an error like the one axios throws for an HTTP error response.
+ * @param {number} status - HTTP status.
+ * @param {object} [headers] - Response headers.
+ * @returns {Error} The error.
+ */
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`status ${status}`), { response: { status, headers } });
+
+/**
+ * Builds an error like the one axios throws when the connection fails.
+ * @param {string} code - Node.js error code (e.g., 'ECONNRESET').
+ * @returns {Error} The error.
+ */
+const networkError = (code) => Object.assign(new Error(code), { code });
+
+/**
+ * Builds an operation that throws the given errors in turn, then resolves.
+ * @param {Error[]} errors - Errors to throw, one per call.
+ * @returns {Function} The operation, with its call count in calls.
+ */
+const failingTimes = (errors) => {
+  const operation = async () => {
+    operation.calls++;
+    if (operation.calls <= errors.length) {
+      throw errors[operation.calls - 1];
+    }
+    return 'ok';
+  };
+  operation.calls = 0;
+  return operation;
+};
+
+test.beforeEach(() => {
+  config.retry.baseDelayMs = 1;
+});
+
+test('retries rate limiting, server errors and network failures', async () => {
+  const operation = failingTimes([httpError(429), httpError(503), networkError('ECONNRESET')]);
+  assert.equal(await withRetry(operation, { retries: 3 }), 'ok');
+  assert.equal(operation.calls, 4);
+});
+
+test('does not retry client errors', async () => {
+  const rejection = httpError(400);
+  const operation = failingTimes([rejection]);
+  await assert.rejects(withRetry(operation, { retries: 3 }), (thrown) => thrown === rejection);
+  assert.equal(operation.calls, 1);
+});
+
+test('gives up with the last error once retries are exhausted', async () => {
+  const last = httpError(502);
+  const operation = failingTimes([httpError(500), httpError(503), last]);
+  await assert.rejects(withRetry(operation, { retries: 2 }), (thrown) => thrown === last);
+  assert.equal(operation.calls, 3);
+});
+
+test('refreshes credentials once on 401 without using a retry', async (t) => {
+  const onUnauthorized = t.mock.fn(async () => {});
+  const operation = failingTimes([httpError(401)]);
+  assert.equal(await withRetry(operation, { retries: 0, onUnauthorized }), 'ok');
+  assert.equal(onUnauthorized.mock.callCount(), 1);
+
+  const rejected = failingTimes([httpError(401), httpError(401)]);
+  await assert.rejects(withRetry(rejected, { retries: 3, onUnauthorized }), /status 401/);
+  assert.equal(rejected.calls, 2);
+});
+
+test('backs off exponentially with full jitter up to the maximum delay', (t) => {
+  Object.assign(config.retry, { baseDelayMs: 1000, maxDelayMs: 5000 });
+  t.mock.method(Math, 'random', () => 1);
+  assert.deepEqual(
+    [0, 1, 2, 3].map((attempt) => getRetryDelay(attempt, httpError(503))),
+    [1000, 2000, 4000, 5000]
+  );
+
+  Math.random.mock.mockImplementation(() => 0.5);
+  assert.equal(getRetryDelay(1, httpError(503)), 1000);
+});
+
+test('honors Retry-After in seconds or as a date, capped', (t) => {
+  Object.assign(config.retry, { maxRetryAfterMs: 10000 });
+  t.mock.method(Math, 'random', () => 1);
+  assert.equal(getRetryDelay(0, httpError(429, { 'retry-after': '3' })), 3000);
+  assert.equal(getRetryDelay(0, httpError(429, { 'retry-after': '600' })), 10000);
+
+  const inTwoSeconds = new Date(Date.now() + 2000).toUTCString();
+  const delay = getRetryDelay(0, httpError(429, { 'retry-after': inTwoSeconds }));
+  assert.ok(delay > 0 && delay <= 2000, `unexpected delay ${delay}`);
+});
+
+test('waits for the rate limiter before every attempt', async (t) => {
+  const limiter = { acquire: t.mock.fn(async () => {}) };
+  const operation = failingTimes([httpError(401), httpError(503)]);
+  await withRetry(operation, { retries: 1, onUnauthorized: async () => {}, limiter });
+  assert.equal(limiter.acquire.mock.callCount(), 3);
+});
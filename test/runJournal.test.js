@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const { openRunJournal, loadRunJournal, getJournalPath } = require('../src/utils/runJournal');
+
+const RUN = {
+  runId: 'run-1',
+  campaignName: 'Summer',
+  briefPath: '/briefs/summer.json',
+  provider: 'mock',
+  options: { locales: ['en', 'es'], overlay: true, concurrency: 4 },
+};
+
+/**
+ * Builds a manifest record with the fields the journal looks at.
+ * @param {string} product - Product name.
+ * @param {string} placement - Placement name.
+ * @param {string} locale - Locale.
+ * @param {string} status - Record status.
+ * @returns {object} The record.
+ */
+const record = (product, placement, locale, status) => ({ product, placement, locale, status });
+
+/**
+ * Maps each unit of a journal to its status.
+ * @param {object} journal - The journal.
+ * @returns {object} Status keyed by "product/placement".
+ */
+const unitStatuses = (journal) =>
+  Object.fromEntries(
+    journal.units.map((unit) => [`${unit.product}/${unit.placement}`, unit.status])
+  );
+
+test.beforeEach(() => {
+  config.paths.outputs = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(config.paths.outputs, { recursive: true, force: true });
+});
+
+test('journals live under outputs/.runs and reject unsafe run IDs', () => {
+  assert.equal(getJournalPath('abc-123'), path.join(config.paths.outputs, '.runs', 'abc-123.json'));
+  assert.throws(() => getJournalPath('../escape'), /Invalid run ID/);
+  assert.throws(() => loadRunJournal('missing'), /No journal found for run missing/);
+});
+
+test('a new journal records the run and only its replayable options', () => {
+  openRunJournal(RUN);
+  const journal = loadRunJournal('run-1');
+  assert.equal(journal.status, 'running');
+  assert.equal(journal.provider, 'mock');
+  assert.equal(journal.retryOf, null);
+  assert.equal(journal.options.overlay, true);
+  assert.deepEqual(journal.options.locales, ['en', 'es']);
+  assert.equal(journal.options.force, null);
+  assert.equal('concurrency' in journal.options, false);
+  assert.deepEqual(journal.units, []);
+});
+
+test('units move from planned to in-progress to done or failed', () => {
+  const { update, finish } = openRunJournal(RUN);
+  update({
+    event: 'planned',
+    assets: [
+      { product: 'A', placement: 'feed' },
+      { product: 'B', placement: 'feed' },
+      { product: 'C', placement: 'feed' },
+    ],
+    records: [],
+  });
+  assert.deepEqual(unitStatuses(loadRunJournal('run-1')), {
+    'A/feed': 'planned',
+    'B/feed': 'planned',
+    'C/feed': 'planned',
+  });
+
+  update({ event: 'started', product: 'A', placement: 'feed' });
+  update({ event: 'started', product: 'B', placement: 'feed' });
+  assert.equal(unitStatuses(loadRunJournal('run-1'))['A/feed'], 'in-progress');
+
+  update({
+    event: 'finished',
+    product: 'A',
+    placement: 'feed',
+    records: [record('A', 'feed', 'en', 'success'), record('A', 'feed', 'es', 'skipped')],
+  });
+  update({
+    event: 'finished',
+    product: 'B',
+    placement: 'feed',
+    records: [record('B', 'feed', 'en', 'success'), record('B', 'feed', 'es', 'failure')],
+  });
+  finish('failed', 'Interrupted');
+
+  const journal = loadRunJournal('run-1');
+  assert.deepEqual(unitStatuses(journal), {
+    'A/feed': 'done',
+    'B/feed': 'failed',
+    'C/feed': 'planned',
+  });
+  assert.equal(journal.units[0].records.length, 2);
+  assert.ok(journal.units[0].startedAt && journal.units[0].finishedAt);
+  assert.equal(journal.status, 'failed');
+  assert.equal(journal.error, 'Interrupted');
+});
+
+test('units blocked before generation fail with the plan', () => {
+  const { update } = openRunJournal(RUN);
+  update({
+    event: 'planned',
+    assets: [{ product: 'A', placement: 'feed' }],
+    records: [
+      record('A', 'feed', 'es', 'blocked'),
+      record('B', 'feed', 'en', 'blocked'),
+      record('B', 'feed', 'es', 'blocked'),
+    ],
+  });
+
+  const journal = loadRunJournal('run-1');
+  assert.deepEqual(unitStatuses(journal), { 'A/feed': 'planned', 'B/feed': 'failed' });
+  assert.equal(journal.units[1].records.length, 2);
+
+  // A unit blocked in one locale and generated in another fails once it finishes.
+  update({
+    event: 'finished',
+    product: 'A',
+    placement: 'feed',
+    records: [record('A', 'feed', 'en', 'success')],
+  });
+  assert.equal(unitStatuses(loadRunJournal('run-1'))['A/feed'], 'failed');
+});
+
+test('reopening a journal resumes it and replans only the units planned again', () => {
+  const first = openRunJournal(RUN);
+  first.update({
+    event: 'planned',
+    assets: [
+      { product: 'A', placement: 'feed' },
+      { product: 'B', placement: 'feed' },
+    ],
+    records: [],
+  });
+  first.update({
+    event: 'finished',
+    product: 'A',
+    placement: 'feed',
+    records: [record('A', 'feed', 'en', 'success')],
+  });
+  first.update({ event: 'started', product: 'B', placement: 'feed' });
+
+  const resumed = openRunJournal({ ...RUN, options: { locales: ['fr'] } });
+  let journal = loadRunJournal('run-1');
+  assert.equal(journal.status, 'running');
+  assert.equal(journal.resumedAt.length, 1);
+  assert.deepEqual(journal.options.locales, ['en', 'es']);
+  assert.deepEqual(unitStatuses(journal), { 'A/feed': 'done', 'B/feed': 'in-progress' });
+
+  resumed.update({ event: 'planned', assets: [{ product: 'B', placement: 'feed' }], records: [] });
+  journal = loadRunJournal('run-1');
+  assert.deepEqual(unitStatuses(journal), { 'A/feed': 'done', 'B/feed': 'planned' });
+  assert.equal(journal.units[0].records.length, 1);
+  assert.equal(journal.units[1].startedAt, null);
+});
+
+test('rewriting a journal leaves no temporary files behind', () => {
+  const { update } = openRunJournal(RUN);
+  update({ event: 'planned', assets: [{ product: 'A', placement: 'feed' }], records: [] });
+  assert.deepEqual(fs.readdirSync(path.dirname(getJournalPath('run-1'))), ['run-1.json']);
+});